@@ -1,2 +1,90 @@
-export { default as mods } from "./mods.js";
+export { default as createMetricCollector } from "./bench-protocol.js";
+export {
+	getMachineInfo,
+	getSubsetCommits,
+	getSubsetOutcome,
+	readBenchResults,
+	summarizeRuns,
+	toBenchRun,
+	writeBenchResults
+} from "./bench-results.js";
+export { generateBenchSubsets, subsetStrategyNames } from "./bench-subsets.js";
+export {
+	createInitialSuspicion,
+	findConclusion,
+	getSuspicionAfterAnswer,
+	reconsiderFineMods
+} from "./bisection-evidence.js";
+export {
+	categorizeMods,
+	enforceModRules,
+	initializeMods,
+	splitAfterFailure,
+	splitAfterPass
+} from "./bisection-mods.js";
+export {
+	checkConfiguration,
+	createOracle,
+	createTestSettings,
+	repeatWhilePassing
+} from "./bisection-oracle.js";
+export {
+	abortSession,
+	appendStep,
+	defaultSessionPath,
+	defaultStepLogPath,
+	deleteSession,
+	readSession,
+	readStepLog,
+	recordAnswer,
+	startSession,
+	writeSession
+} from "./bisection-session.js";
+export { default as findCollisions } from "./collisions.js";
+export { default as ddmin } from "./ddmin.js";
+export { formatDependency } from "./dependencies.js";
+export {
+	withDependencies,
+	withoutConflicts,
+	withoutDependents
+} from "./dependency-closure.js";
+export { default as runGame } from "./game-run.js";
+export { loadLauncher, spawnGame } from "./launcher.js";
+export { default as loadMods } from "./load-mods.js";
+export { default as computeLoadOrder } from "./load-order.js";
+export { defaultLoaderDirectory, readLoaderVersion } from "./loader-version.js";
+export { findSharedToggleDirectories, getModLovelyIgnorePaths } from "./mod-roots.js";
+export {
+	holdModsOutsideScope,
+	isScoped,
+	readModListFile,
+	resolveScope,
+	selectScopedMods
+} from "./mod-scope.js";
+export {
+	applyModConfiguration,
+	isModDisabled,
+	removeLovelyIgnore,
+	writeLovelyIgnore
+} from "./mod-toggles.js";
+export { diagnostics, default as mods } from "./mods.js";
+export { default as runOracle } from "./oracle.js";
+export {
+	defaultPackConfigPath,
+	getListedModNames,
+	readPackConfig,
+	readPackLists,
+	saveListedMods
+} from "./pack-config.js";
+export { default as preflight } from "./preflight.js";
+export { default as createRegistry } from "./registry.js";
+export { default as resolveMods } from "./resolver.js";
+export { default as replayStepLog } from "./step-replay.js";
 export { default as submodules } from "./submodules.js";
+export {
+	createSuspicion,
+	getCombinedSuspicion,
+	getRequiredRunCount,
+	NEGLIGIBLE_SUSPICION,
+	updateSuspicion
+} from "./suspicion.js";
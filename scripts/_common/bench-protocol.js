@@ -0,0 +1,211 @@
+import summarizeSamples from "./statistics.js";
+
+/**
+ * The line protocol the game uses to report measurements to the bench. Every message is written to stdout
+ * on a line of its own, anything in front of it on the line (like a log prefix) is ignored:
+ *
+ * - `BENCH:START` starts the collection, the warmup and the window are timed from it.
+ * If a metric comes first, the collection starts with that metric instead.
+ * - `BENCH:<metric>:<value>[:<unit>]` reports one sample of a metric, for example `BENCH:FPS:59.8`,
+ * `BENCH:load_time:4.21:s`, `BENCH:lua_memory:183402:KB` or `BENCH:frame_time_p99:21.7:ms`.
+ * A metric can be reported any number of times, every sample is kept with the time it arrived at.
+ * - `BENCH:END` says the game has reported everything, the run is complete even if the window isn't over.
+ *
+ * Samples arriving during the warmup are discarded, and the game is stopped once the window after the warmup
+ * is over. One-off metrics like the load time are best reported right before `BENCH:END`, so they aren't
+ * discarded as part of the warmup. Lines that don't follow the protocol are ignored.
+ */
+
+/**
+ * @typedef {{type: "start"}|{type: "end"}|{type: "metric", metric: string, value: number, unit: string|null}} BenchMessage
+ */
+
+/**
+ * @typedef {object} MetricSample
+ * @property {number} time - Seconds since the collection started, to the millisecond
+ * @property {number} value - The reported value
+ */
+
+/**
+ * @typedef {object} MetricSamples
+ * @property {string|null} unit - The unit the metric was reported in, `null` if it has none
+ * @property {MetricSample[]} samples - The samples kept after the warmup, in the order they arrived in
+ */
+
+/**
+ * @typedef {object} CollectionOptions
+ * @property {number} warmup - Seconds at the start of the collection whose samples are discarded
+ * @property {number} window - Seconds after the warmup during which samples are kept
+ */
+
+/**
+ * @typedef {object} CollectedMetrics
+ * @property {Record<string, number>} metrics - The mean of the samples of each metric
+ * @property {Record<string, MetricSamples>} samples - Every sample that was kept, by metric name
+ */
+
+/**
+ * @typedef {object} MetricCollector
+ * @property {(line: string) => void} addLine - Reads a line of game output
+ * @property {AbortSignal} signal - Aborted once the game has reported everything or the window is over
+ * @property {() => CollectedMetrics} getCollectedMetrics - The metrics collected so far
+ * @property {() => void} stop - Ends the collection, ignoring any further lines
+ */
+
+/**
+ * Marks a line of game output as a message to the bench.
+ */
+const BENCH_PREFIX = "BENCH:";
+
+/**
+ * Converts the warmup and window to what `setTimeout` and `performance.now` use.
+ */
+const MILLISECONDS_PER_SECOND = 1_000;
+
+/**
+ * Reads a bench message from a line of game output.
+ *
+ * @param {string} line - The line written by the game
+ * @returns {BenchMessage|null} The message, `null` if the line doesn't hold a valid one
+ * @example
+ * // Returns { metric: "lua_memory", type: "metric", unit: "KB", value: 183402 }
+ * parseBenchLine("INFO - [G] BENCH:lua_memory:183402:KB");
+ */
+const parseBenchLine = (line) => {
+	const prefixIndex = line.indexOf(BENCH_PREFIX);
+
+	if (prefixIndex === -1) {
+		return null;
+	}
+
+	const [
+		name,
+		rawValue,
+		unit,
+		...rest
+	] = line.slice(prefixIndex + BENCH_PREFIX.length).trim().split(":");
+
+	if (rawValue === undefined) {
+		if (name === "START" || name === "END") {
+			return { type: name === "START" ? "start" : "end" };
+		}
+
+		return null;
+	}
+
+	const value = Number(rawValue);
+
+	if (name === "" || rawValue.trim() === "" || !Number.isFinite(value) || unit === "" || rest.length > 0) {
+		return null;
+	}
+
+	return {
+		metric: name,
+		type: "metric",
+		unit: unit ?? null,
+		value
+	};
+};
+
+/**
+ * Collects the metrics a game reports during a run, following the bench line protocol.
+ *
+ * @param {CollectionOptions} options - How long the warmup and the window are
+ * @returns {MetricCollector} The collector to feed the game output to
+ * @example
+ * const collector = createMetricCollector({ warmup: 5, window: 30 });
+ *
+ * const gameRun = await runGame(launcher, {
+ *   onOutputLine: collector.addLine,
+ *   signal: collector.signal,
+ *   timeout: 120
+ * });
+ *
+ * collector.stop();
+ */
+const createMetricCollector = ({ warmup, window }) => {
+	const controller = new AbortController();
+
+	/** @type {Record<string, MetricSamples>} */
+	const samples = {};
+
+	/** @type {number|null} */
+	let startTime = null;
+	/** @type {ReturnType<typeof setTimeout>|undefined} */
+	let windowTimer;
+
+	/**
+	 * Ends the collection and signals that the game can be stopped.
+	 */
+	const stop = () => {
+		clearTimeout(windowTimer);
+		controller.abort();
+	};
+
+	/**
+	 * Starts timing the warmup and the window.
+	 */
+	const start = () => {
+		startTime = performance.now();
+		windowTimer = setTimeout(stop, (warmup + window) * MILLISECONDS_PER_SECOND);
+	};
+
+	return {
+		addLine: (line) => {
+			const message = parseBenchLine(line);
+
+			if (message === null || controller.signal.aborted) {
+				return;
+			}
+
+			if (message.type === "end") {
+				stop();
+
+				return;
+			}
+
+			if (startTime === null) {
+				start();
+			}
+
+			if (message.type === "start") {
+				return;
+			}
+
+			const elapsedMilliseconds = Math.round(performance.now() - Number(startTime));
+			const time = elapsedMilliseconds / MILLISECONDS_PER_SECOND;
+
+			if (time < warmup) {
+				return;
+			}
+
+			const {
+				metric, unit, value
+			} = message;
+
+			samples[metric] ??= {
+				samples: [],
+				unit
+			};
+
+			samples[metric].samples.push({
+				time,
+				value
+			});
+		},
+		getCollectedMetrics: () => ({
+			metrics: Object.fromEntries(
+				Object.entries(samples).map(([metric, metricSamples]) => {
+					const values = metricSamples.samples.map(({ value }) => value);
+
+					return [metric, summarizeSamples(values).mean];
+				})
+			),
+			samples
+		}),
+		signal: controller.signal,
+		stop
+	};
+};
+
+export default createMetricCollector;
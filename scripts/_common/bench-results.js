@@ -0,0 +1,356 @@
+import getHeadCommit from "./git.js";
+import summarizeSamples from "./statistics.js";
+
+const {
+	build: { arch, os },
+	errors: { NotFound },
+	hostname,
+	osRelease,
+	readTextFile,
+	systemMemoryInfo,
+	version: { deno: denoVersion },
+	writeTextFile
+} = Deno;
+
+/**
+ * @typedef {import("./bench-protocol.js").CollectedMetrics} CollectedMetrics
+ * @typedef {import("./bench-protocol.js").MetricSamples} MetricSamples
+ * @typedef {import("./game-run.js").GameRunResult} GameRunResult
+ * @typedef {import("./load-mods.js").Mod} Mod
+ * @typedef {import("./statistics.js").SampleStatistics} SampleStatistics
+ */
+
+/**
+ * @typedef {object} MachineInfo
+ * @property {string} os - The operating system
+ * @property {string} osRelease - The release of the operating system
+ * @property {string} arch - The CPU architecture
+ * @property {number} cpuCount - How many logical CPUs there are
+ * @property {number} totalMemory - The total memory in bytes
+ * @property {string} hostname - The name of the machine
+ * @property {string} denoVersion - The Deno version running the bench
+ */
+
+/**
+ * How a run ended:
+ *
+ * - `ok` if the game reported at least one metric before it said it was done or the window was over.
+ * - `crash` if the game exited with an error before that.
+ * - `timeout` if the game was stopped because it took too long.
+ * - `no-metric` if the game exited normally or said it was done without reporting any metric.
+ *
+ * @typedef {"ok"|"crash"|"timeout"|"no-metric"} RunOutcome
+ */
+
+/**
+ * @typedef {object} RunOutput
+ * @property {string[]} stdout - The last lines the game wrote to stdout
+ * @property {string[]} stderr - The last lines the game wrote to stderr
+ */
+
+/**
+ * @typedef {object} BenchRun
+ * @property {string} timestamp - When the run started, as an ISO 8601 string
+ * @property {RunOutcome} outcome - How the run ended
+ * @property {Record<string, number>} metrics - The mean of the samples of each metric, by metric name
+ * @property {Record<string, MetricSamples>} samples - The samples of each metric, by metric name
+ * @property {number} [exitCode] - The exit code of the game, only kept if the run isn't `ok`
+ * @property {string|null} [signal] - The signal that ended the game, only kept if the run isn't `ok`
+ * @property {RunOutput} [output] - The end of the game output, only kept if the run isn't `ok`
+ */
+
+/**
+ * @typedef {object} BenchSubsetResult
+ * @property {string[]} subset - Names of the mods enabled for the runs
+ * @property {RunOutcome} outcome - The worst outcome of the runs
+ * @property {Record<string, string|null>} commits - The commit of the submodule of each mod, `null` if there is none
+ * @property {BenchRun[]} runs - Every run of the subset, in order
+ * @property {Record<string, SampleStatistics>} statistics - The statistics of each metric over the runs
+ */
+
+/**
+ * @typedef {object} RunSettings
+ * @property {number} timeout - Seconds after which a run is stopped as timed out
+ * @property {number} warmup - Seconds at the start of the collection whose samples are discarded
+ * @property {number} window - Seconds after the warmup during which samples are collected
+ */
+
+/**
+ * @typedef {object} BenchResults
+ * @property {string} timestamp - When the bench started, as an ISO 8601 string
+ * @property {MachineInfo} machine - The machine the bench ran on
+ * @property {string} launcherProfile - The launcher profile the game was started with
+ * @property {RunSettings} runSettings - How long each run could take and which part of it was measured
+ * @property {BenchSubsetResult[]} subsets - The results of every subset benched so far
+ */
+
+/**
+ * Outcomes from best to worst, a subset gets the worst outcome of its runs.
+ *
+ * @type {RunOutcome[]}
+ */
+const outcomeSeverity = [
+	"ok",
+	"no-metric",
+	"timeout",
+	"crash"
+];
+
+/**
+ * Collects what is known about the machine, so results from different machines aren't mixed up.
+ *
+ * @returns {MachineInfo} The operating system, hardware and Deno version
+ * @example
+ * const machine = getMachineInfo();
+ */
+const getMachineInfo = () => ({
+	arch,
+	cpuCount: navigator.hardwareConcurrency,
+	denoVersion,
+	hostname: hostname(),
+	os,
+	osRelease: osRelease(),
+	totalMemory: systemMemoryInfo().total
+});
+
+/**
+ * Finds the commit each mod's submodule is at.
+ *
+ * @param {Mod[]} modList - The mods to look up
+ * @returns {Promise<Record<string, string|null>>} The commit by mod name, `null` for mods outside a submodule
+ * @example
+ * const commits = await getSubsetCommits(modsToEnable);
+ */
+const getSubsetCommits = async (modList) => {
+	/** @type {Record<string, string|null>} */
+	const commits = {};
+
+	for (const { name, submoduleDirectory } of modList) {
+		commits[name] = submoduleDirectory === null
+			? null
+			: await getHeadCommit(submoduleDirectory);
+	}
+
+	return commits;
+};
+
+/**
+ * Classifies how a run of the game ended. The end of the output is only kept for runs that aren't `ok`,
+ * as that is where the reason is.
+ *
+ * @param {GameRunResult} gameRun - How the game ended
+ * @param {CollectedMetrics} collectedMetrics - The metrics the game reported
+ * @returns {Omit<BenchRun, "timestamp">} The outcome, metrics and samples of the run
+ * @example
+ * const { outcome } = toBenchRun(await runGame(launcher, options), collector.getCollectedMetrics());
+ */
+const toBenchRun = ({
+	code, completed, signal, stderrTail, stdoutTail, success, timedOut
+}, { metrics, samples }) => {
+	const hasMetrics = Object.keys(metrics).length > 0;
+
+	if (completed && hasMetrics) {
+		return {
+			metrics,
+			outcome: "ok",
+			samples
+		};
+	}
+
+	/** @type {RunOutcome} */
+	let outcome = "crash";
+
+	if (timedOut) {
+		outcome = "timeout";
+	}
+	else if (completed || success) {
+		outcome = "no-metric";
+	}
+
+	return {
+		exitCode: code,
+		metrics,
+		outcome,
+		output: {
+			stderr: stderrTail,
+			stdout: stdoutTail
+		},
+		samples,
+		signal
+	};
+};
+
+/**
+ * Picks the worst outcome of some runs.
+ *
+ * @param {BenchRun[]} runs - The runs of a subset
+ * @returns {RunOutcome} The outcome of the subset, `ok` if there are no runs
+ * @example
+ * // Returns "crash"
+ * getSubsetOutcome([{ outcome: "ok", ... }, { outcome: "crash", ... }]);
+ */
+const getSubsetOutcome = (runs) => runs.reduce(
+	(worstOutcome, { outcome }) => (
+		outcomeSeverity.indexOf(outcome) > outcomeSeverity.indexOf(worstOutcome)
+			? outcome
+			: worstOutcome
+	),
+	/** @type {RunOutcome} */ ("ok")
+);
+
+/**
+ * Works out the statistics of every metric measured in any of the runs.
+ *
+ * @param {BenchRun[]} runs - The runs of a subset
+ * @returns {Record<string, SampleStatistics>} The statistics by metric name
+ * @example
+ * // Returns { FPS: { min: 58, max: 60, count: 2, mean: 59, median: 59, standardDeviation: 1.414... } }
+ * summarizeRuns([
+ *   { metrics: { FPS: 58 }, outcome: "ok", samples, timestamp },
+ *   { metrics: { FPS: 60 }, outcome: "ok", samples, timestamp }
+ * ]);
+ */
+const summarizeRuns = (runs) => {
+	const metricNames = [...new Set(runs.flatMap(({ metrics }) => Object.keys(metrics)))];
+
+	return Object.fromEntries(
+		metricNames.map((metricName) => [
+			metricName,
+			summarizeSamples(
+				runs
+					.filter(({ metrics }) => Object.hasOwn(metrics, metricName))
+					.map(({ metrics }) => metrics[metricName])
+			)
+		])
+	);
+};
+
+/**
+ * Quotes a CSV field if it contains a separator, a quote or a line break.
+ *
+ * @param {string|number} value - The raw value
+ * @returns {string} The field as it goes into the CSV file
+ * @example
+ * // Returns "\"Cryptid, Talisman\""
+ * toCsvField("Cryptid, Talisman");
+ */
+const toCsvField = (value) => {
+	const text = String(value);
+
+	return /[\n\r",]/v.test(text) ? `"${text.replaceAll("\"", "\"\"")}"` : text;
+};
+
+/**
+ * Fields of the CSV row of a run without any sample.
+ */
+const emptySampleFields = [
+	"",
+	"",
+	"",
+	""
+];
+
+/**
+ * Flattens the results into CSV, one row per sample and one without a sample for each run
+ * that measured nothing.
+ *
+ * @param {BenchResults} results - The results to flatten
+ * @returns {string} The CSV content with a header row
+ * @example
+ * await writeTextFile("bench-results.csv", toCsv(results));
+ */
+const toCsv = ({ subsets }) => {
+	const header = [
+		"timestamp",
+		"subset",
+		"run",
+		"outcome",
+		"metric",
+		"unit",
+		"time",
+		"value"
+	];
+
+	const rows = subsets.flatMap(({ runs, subset }) => runs.flatMap(
+		({
+			outcome, samples, timestamp
+		}, runIndex) => {
+			const sampleFields = Object.entries(samples).flatMap(
+				([metricName, { samples: metricSamples, unit }]) => metricSamples.map(
+					({ time, value }) => [
+						metricName,
+						unit ?? "",
+						time,
+						value
+					]
+				)
+			);
+
+			const rowFields = sampleFields.length === 0 ? [emptySampleFields] : sampleFields;
+
+			return rowFields.map((fields) => [
+				timestamp,
+				subset.join("; "),
+				runIndex + 1,
+				outcome,
+				...fields
+			]);
+		}
+	));
+
+	return [header, ...rows]
+		.map((row) => row.map(toCsvField).join(","))
+		.join("\n")
+		.concat("\n");
+};
+
+/**
+ * Reads the JSON results of an earlier bench, to continue where it stopped.
+ *
+ * @param {string} basePath - Location of the result files without extension
+ * @returns {Promise<BenchResults|null>} The results, `null` if there are none yet
+ * @example
+ * const previousResults = await readBenchResults("bench-results");
+ */
+const readBenchResults = async (basePath) => {
+	try {
+		return JSON.parse(await readTextFile(`${basePath}.json`));
+	}
+	catch (error) {
+		if (error instanceof NotFound) {
+			return null;
+		}
+
+		throw error;
+	}
+};
+
+/**
+ * Saves the results as JSON and as CSV next to each other.
+ *
+ * @param {string} basePath - Location of the result files without extension
+ * @param {BenchResults} results - The results to save
+ * @returns {Promise<void>}
+ * @example
+ * // Writes bench-results.json and bench-results.csv
+ * await writeBenchResults("bench-results", results);
+ */
+const writeBenchResults = async (basePath, results) => {
+	try {
+		await writeTextFile(`${basePath}.json`, `${JSON.stringify(results, null, "\t")}\n`);
+		await writeTextFile(`${basePath}.csv`, toCsv(results));
+	}
+	catch (error) {
+		console.error("Error saving bench results:", error);
+	}
+};
+
+export {
+	getMachineInfo,
+	getSubsetCommits,
+	getSubsetOutcome,
+	readBenchResults,
+	summarizeRuns,
+	toBenchRun,
+	writeBenchResults
+};
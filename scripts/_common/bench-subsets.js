@@ -0,0 +1,188 @@
+import { withDependencies, withoutDependents } from "./dependency-closure.js";
+import computeLoadOrder from "./load-order.js";
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * How subsets are built from the candidate mods, which are taken in load order:
+ *
+ * - `one-at-a-time` benches every mod on its own.
+ * - `leave-one-out` benches all mods but one, for every mod.
+ * - `cumulative` adds one mod after another, like loading the pack mod by mod.
+ * - `random` draws subsets of a fixed size, the same ones for the same seed.
+ * - `pairwise` benches every pair of mods.
+ *
+ * @typedef {"one-at-a-time"|"leave-one-out"|"cumulative"|"random"|"pairwise"} SubsetStrategyName
+ */
+
+/**
+ * @typedef {object} SubsetStrategyOptions
+ * @property {SubsetStrategyName} strategy - How the subsets are built
+ * @property {number} size - How many mods a random subset has
+ * @property {number} count - How many random subsets are drawn
+ * @property {number} seed - The seed random subsets are drawn with
+ */
+
+/**
+ * @typedef {(orderedMods: Mod[], options: SubsetStrategyOptions) => Mod[][]} SubsetStrategy
+ */
+
+/**
+ * @typedef {object} SubsetMods
+ * @property {Mod[]} candidateMods - The mods the subsets are built from
+ * @property {Mod[]} availableMods - The mods that may be added to a subset to satisfy a dependency
+ * @property {Mod[]} enabledMods - The mods enabled next to every subset anyway, which satisfy dependencies as well
+ */
+
+/**
+ * Multiplier of the linear congruential generator drawing random subsets, from Numerical Recipes.
+ */
+const RANDOM_MULTIPLIER = 1_664_525;
+
+/**
+ * Increment of the linear congruential generator drawing random subsets, from Numerical Recipes.
+ */
+const RANDOM_INCREMENT = 1_013_904_223;
+
+/**
+ * How many different states the generator has, which turns a state into a number between 0 and 1.
+ */
+const RANDOM_STATE_COUNT = 4_294_967_296;
+
+/**
+ * Creates a random number generator that always returns the same numbers for the same seed,
+ * so a random bench can be repeated on another machine or after a change to the pack.
+ *
+ * @param {number} seed - The seed, any integer
+ * @returns {() => number} Returns the next number, at least 0 and less than 1
+ * @example
+ * const random = createSeededRandom(42);
+ */
+const createSeededRandom = (seed) => {
+	let state = ((seed % RANDOM_STATE_COUNT) + RANDOM_STATE_COUNT) % RANDOM_STATE_COUNT;
+
+	/**
+	 * Advances the generator by one step.
+	 *
+	 * @returns {number} The next number, at least 0 and less than 1
+	 */
+	const next = () => {
+		// The product stays below 2^53, so it is exact
+		state = ((RANDOM_MULTIPLIER * state) + RANDOM_INCREMENT) % RANDOM_STATE_COUNT;
+
+		return state / RANDOM_STATE_COUNT;
+	};
+
+	return next;
+};
+
+/**
+ * Draws some mods without picking any twice, with a partial Fisher-Yates shuffle.
+ *
+ * @param {Mod[]} orderedMods - The mods to draw from
+ * @param {number} size - How many mods to draw
+ * @param {() => number} random - The random number generator to draw with
+ * @returns {Mod[]} The drawn mods, in the order they were drawn
+ * @example
+ * const drawnMods = drawMods(candidateMods, 3, createSeededRandom(42));
+ */
+const drawMods = (orderedMods, size, random) => {
+	const remainingMods = [...orderedMods];
+
+	for (let index = 0; index < size; index++) {
+		const pickedIndex = index + Math.floor(random() * (remainingMods.length - index));
+
+		const pickedMod = remainingMods[pickedIndex];
+
+		remainingMods[pickedIndex] = remainingMods[index];
+		remainingMods[index] = pickedMod;
+	}
+
+	return remainingMods.slice(0, size);
+};
+
+/**
+ * Builds the subsets of each strategy from the candidate mods in load order.
+ * Leaving a mod out also leaves out the mods depending on it, as they couldn't load without it.
+ *
+ * @type {Record<SubsetStrategyName, SubsetStrategy>}
+ */
+const strategies = {
+	cumulative: (orderedMods) => orderedMods.map((mod, index) => orderedMods.slice(0, index + 1)),
+	"leave-one-out": (orderedMods) => orderedMods.map((mod) => {
+		const leftOutMods = new Set(withoutDependents([mod], { enabledMods: orderedMods }));
+
+		return orderedMods.filter((orderedMod) => !leftOutMods.has(orderedMod));
+	}),
+	"one-at-a-time": (orderedMods) => orderedMods.map((mod) => [mod]),
+	pairwise: (orderedMods) => orderedMods.flatMap(
+		(mod, index) => orderedMods.slice(index + 1).map((otherMod) => [mod, otherMod])
+	),
+	random: (orderedMods, {
+		count, seed, size
+	}) => {
+		if (size > orderedMods.length) {
+			throw new Error(`Random subsets of ${size} mods can't be drawn from ${orderedMods.length} candidates`);
+		}
+
+		const random = createSeededRandom(seed);
+
+		return Array.from({ length: count }, () => drawMods(orderedMods, size, random));
+	}
+};
+
+/**
+ * Names of the strategies subsets can be built with.
+ */
+const subsetStrategyNames = /** @type {SubsetStrategyName[]} */ (Object.keys(strategies));
+
+/**
+ * Builds the subsets to bench with a strategy. Every subset is completed with the dependencies of its mods
+ * and sorted in load order, and subsets that end up the same are only kept once.
+ *
+ * @param {SubsetMods} subsetMods - The mods to build the subsets from and the ones around them
+ * @param {SubsetStrategyOptions} options - The strategy and the options of random subsets
+ * @returns {string[][]} The names of the mods of each subset, in the format of `bench.json`
+ * @throws {Error} If a random subset would need more mods than there are candidates
+ * @example
+ * const subsets = generateBenchSubsets({
+ *   availableMods: mods,
+ *   candidateMods,
+ *   enabledMods: benchMods
+ * }, {
+ *   count: 20,
+ *   seed: 1,
+ *   size: 3,
+ *   strategy: "random"
+ * });
+ */
+const generateBenchSubsets = ({
+	availableMods, candidateMods, enabledMods
+}, options) => {
+	const { order } = computeLoadOrder(availableMods);
+	const loadOrderIndex = new Map(order.map((mod, index) => [mod, index]));
+
+	/**
+	 * Sorts mods in load order.
+	 *
+	 * @param {Mod[]} modList - The mods to sort
+	 * @returns {Mod[]} The mods in the order they are loaded
+	 * @example
+	 * const orderedMods = sortInLoadOrder(candidateMods);
+	 */
+	const sortInLoadOrder = (modList) => modList.toSorted(
+		(modA, modB) => Number(loadOrderIndex.get(modA)) - Number(loadOrderIndex.get(modB))
+	);
+
+	const subsets = strategies[options.strategy](sortInLoadOrder(candidateMods), options)
+		.map((subset) => sortInLoadOrder(withDependencies(subset, {
+			availableMods,
+			enabledMods
+		})).map(({ name }) => name));
+
+	return [...new Map(subsets.map((subset) => [subset.join("\n"), subset])).values()];
+};
+
+export { generateBenchSubsets, subsetStrategyNames };
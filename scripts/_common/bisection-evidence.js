@@ -0,0 +1,158 @@
+import {
+	createSuspicion,
+	getCombinedSuspicion,
+	NEGLIGIBLE_SUSPICION,
+	updateSuspicion
+} from "./suspicion.js";
+
+/**
+ * @typedef {import("./bisection-oracle.js").TestSettings} TestSettings
+ * @typedef {import("./load-mods.js").Mod} Mod
+ * @typedef {import("./suspicion.js").Suspicion} Suspicion
+ */
+
+/**
+ * @typedef {object} TestedState
+ * @property {Set<string>} enabledMods - The names of the mods enabled in the tested configuration
+ * @property {Set<string>} fineMods - The names of the mods confirmed to be fine
+ * @property {Suspicion} suspicion - How likely each mod is to cause the problem
+ */
+
+/**
+ * @typedef {object} AnsweredStep
+ * @property {Set<string>} enabledMods - The names of the mods enabled in the tested configuration
+ * @property {Suspicion} suspicion - The scores before the answer
+ * @property {{suspicion?: Suspicion}} updatedSets - The sets after the answer, with scores if the answer brings its own
+ */
+
+/**
+ * @typedef {object} TestedMods
+ * @property {Mod[]} disabledMods - The mods that were disabled, except the always disabled ones
+ * @property {Mod[]} enabledNonFineMods - The enabled mods that weren't confirmed to be fine
+ * @property {Suspicion} suspicion - The scores after the answer
+ */
+
+/**
+ * Suspects every mod that can be tested and isn't considered fine equally.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {Set<string>} fineMods - The names of the mods confirmed to be fine
+ * @param {string[]} alwaysDisabledMods - The names of the mods that are never enabled
+ * @returns {Suspicion} The same score for every suspect
+ * @example
+ * const suspicion = createInitialSuspicion(allMods, fineMods, alwaysDisabledMods);
+ */
+const createInitialSuspicion = (allMods, fineMods, alwaysDisabledMods) => createSuspicion(
+	allMods
+		.filter((mod) => !fineMods.has(mod.name) && !alwaysDisabledMods.includes(mod.name))
+		.map((mod) => mod.name)
+);
+
+/**
+ * Checks the evidence after the game failed. If none of the enabled mods is suspicious anymore,
+ * a flaky problem must have slipped through earlier, so the enabled mods marked fine during the session are tested again.
+ * The mods considered fine before the session began, like the ones from the fine lists or held outside the scope,
+ * stay fine.
+ *
+ * @param {TestedState} state - The tested sets and scores
+ * @param {string[]} alwaysFineMods - The names of the mods considered fine before the session began
+ * @returns {{fineMods: Set<string>, retestedMods: string[], suspicion: Suspicion}} The fine mods and scores
+ * to continue with, and the names of the mods that are no longer considered fine
+ * @example
+ * const { fineMods, retestedMods, suspicion } = reconsiderFineMods(state, alwaysFineMods);
+ */
+const reconsiderFineMods = ({
+	enabledMods, fineMods, suspicion
+}, alwaysFineMods) => {
+	const enabledModNames = [...enabledMods];
+	const hasSuspects = enabledModNames.some((modName) => !fineMods.has(modName)) &&
+		getCombinedSuspicion(suspicion, enabledModNames) >= NEGLIGIBLE_SUSPICION;
+	const markedFineMods = enabledModNames.filter(
+		(modName) => fineMods.has(modName) && !alwaysFineMods.includes(modName)
+	);
+
+	if (hasSuspects || markedFineMods.length === 0) {
+		return {
+			fineMods,
+			retestedMods: [],
+			suspicion
+		};
+	}
+
+	const updatedFineMods = new Set(
+		[...fineMods].filter((modName) => !markedFineMods.includes(modName))
+	);
+	const suspectMods = enabledModNames.filter((modName) => !updatedFineMods.has(modName));
+
+	return {
+		fineMods: updatedFineMods,
+		retestedMods: markedFineMods,
+		suspicion: createSuspicion(suspectMods)
+	};
+};
+
+/**
+ * Works out the suspicion scores after an answer. Passing every run of a configuration only clears its mods
+ * as far as a flaky problem could have stayed away that often, undoing and resetting bring their own scores.
+ *
+ * @param {string} answer - The answer, "y", "n", "u" or "r"
+ * @param {AnsweredStep} step - The tested mods, the scores before the answer and the sets after it
+ * @param {TestSettings} settings - How likely the problem shows up and how often a pass is repeated
+ * @returns {Suspicion} The scores after the answer
+ * @example
+ * const suspicion = getSuspicionAfterAnswer("y", { enabledMods, suspicion, updatedSets }, settings);
+ */
+const getSuspicionAfterAnswer = (answer, {
+	enabledMods, suspicion, updatedSets
+}, { failureRate, runCount }) => {
+	switch (answer) {
+		case "n":
+			return updateSuspicion(suspicion, [...enabledMods], "fail", failureRate);
+
+		case "y":
+			return updateSuspicion(suspicion, [...enabledMods], "pass", 1 - ((1 - failureRate) ** runCount));
+
+		default:
+			return updatedSets.suspicion ?? suspicion;
+	}
+};
+
+/**
+ * Finds out whether an unattended binary search is over, which is the case when the game failed and one mod is
+ * suspicious enough, the game fails without any mods left to test or runs fine with every mod.
+ *
+ * @param {string} answer - The answer for the tested configuration
+ * @param {TestedMods} testedMods - The mods of the tested configuration and the scores after the answer
+ * @param {number} confidence - How suspicious a mod has to be to be named the problematic one
+ * @returns {string|null} What the search found, `null` if it isn't over yet
+ * @example
+ * const conclusion = findConclusion("n", { disabledMods, enabledNonFineMods, suspicion }, 0.95);
+ */
+const findConclusion = (answer, {
+	disabledMods, enabledNonFineMods, suspicion
+}, confidence) => {
+	const [mostSuspiciousModName, highestScore = 0] = Object.entries(suspicion)
+		.toSorted(([, scoreA], [, scoreB]) => scoreB - scoreA)
+		.at(0) ?? [];
+
+	if (answer === "n" && highestScore >= confidence) {
+		return `Found the problematic mod: ${mostSuspiciousModName} (${highestScore.toLocaleString("en", { style: "percent" })} suspicious)`;
+	}
+
+	if (answer === "n" && enabledNonFineMods.length === 0) {
+		return "The game fails without any mods left to test.";
+	}
+
+	if (answer === "y" && disabledMods.length === 0) {
+		return "The game runs fine with every mod enabled.";
+	}
+
+	return null;
+};
+
+export {
+	createInitialSuspicion,
+	findConclusion,
+	getSuspicionAfterAnswer,
+	reconsiderFineMods
+};
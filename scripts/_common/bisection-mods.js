@@ -0,0 +1,317 @@
+import { group } from "@radashi-org/radashi";
+
+import {
+	withDependencies,
+	withoutConflicts,
+	withoutDependents
+} from "./dependency-closure.js";
+import { isModDisabled } from "./mod-toggles.js";
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ * @typedef {import("./pack-config.js").PackLists} PackLists
+ */
+
+/**
+ * @typedef {object} BisectionModSets
+ * @property {Set<string>} enabledMods - The names of the enabled mods
+ * @property {Set<string>} fineMods - The names of the mods confirmed to be fine
+ */
+
+/**
+ * @typedef {object} CategorizedMods
+ * @property {Mod[]} disabledMods - The disabled mods, except the always disabled ones
+ * @property {Mod[]} enabledNonFineMods - The enabled mods that still need testing
+ */
+
+/**
+ * Shuffles an array in place with the Fisher-Yates algorithm.
+ *
+ * @template T
+ * @param {T[]} array - The array to shuffle
+ * @returns {T[]} The same array, now shuffled
+ * @example
+ * const cards = [1, 2, 3, 4, 5];
+ * shuffleArray(cards);
+ * // cards is now randomly reordered, e.g. [3, 1, 5, 2, 4]
+ */
+const shuffleArray = (array) => {
+	for (let index = array.length - 1; index > 0; index--) {
+		const randomIndex = Math.floor(Math.random() * (index + 1));
+
+		[array[index], array[randomIndex]] = [array[randomIndex], array[index]];
+	}
+
+	return array;
+};
+
+/**
+ * Groups mods by their toggle directory. Mods sharing one are enabled and disabled together,
+ * so a split treats them as one unit.
+ *
+ * @param {Mod[]} modList - The mods to group
+ * @returns {Mod[][]} The mods in each toggle directory
+ * @example
+ * // Returns [[modA, modB], [modC]] if modA and modB share a toggle directory
+ * groupByToggleDirectory([modA, modB, modC]);
+ */
+const groupByToggleDirectory = (modList) => Object.values(
+	group(modList, ({ toggleDirectory }) => toggleDirectory)
+)
+	.map((modsInDirectory = []) => modsInDirectory);
+
+/**
+ * Extends a selection of mods with the mods sharing a toggle directory with any of them,
+ * as toggling the selected mods toggles those as well.
+ *
+ * @param {Mod[]} selectedMods - The mods about to be toggled
+ * @param {Mod[]} otherMods - The mods that may share a toggle directory with the selection
+ * @returns {Mod[]} The selected mods followed by the ones sharing their toggle directories
+ * @example
+ * const modsToDisable = withToggleDirectoryMates([modA], enabledMods);
+ * // Also contains modB if it is enabled and shares the toggle directory of modA
+ */
+const withToggleDirectoryMates = (selectedMods, otherMods) => {
+	const toggleDirectories = new Set(selectedMods.map(({ toggleDirectory }) => toggleDirectory));
+
+	const sharingMods = otherMods.filter((mod) => (
+		toggleDirectories.has(mod.toggleDirectory) && !selectedMods.includes(mod)
+	));
+
+	return [...selectedMods, ...sharingMods];
+};
+
+/**
+ * Detects the enabled mods to start a search with: the always fine mods count as enabled and the always disabled
+ * ones don't, whatever their state on disk. Nothing is toggled, the first configuration the search applies does that.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {PackLists} packLists - The mods the pack config holds fine or disabled
+ * @returns {Promise<BisectionModSets>} The enabled mods and the ones considered fine from the start
+ * @example
+ * const { enabledMods, fineMods } = await initializeMods(allMods, packLists);
+ */
+const initializeMods = async (allMods, { alwaysDisabledMods, alwaysFineMods }) => {
+	// Initialize with always-fine mods
+	const fineMods = new Set(alwaysFineMods);
+	const enabledMods = new Set(alwaysFineMods);
+
+	// Check which mods are actually enabled when starting
+	for (const mod of allMods) {
+		if (!(await isModDisabled(mod))) {
+			enabledMods.add(mod.name);
+		}
+	}
+
+	// Leave out the always-disabled mods
+	for (const modName of alwaysDisabledMods) {
+		enabledMods.delete(modName);
+	}
+
+	return {
+		enabledMods,
+		fineMods
+	};
+};
+
+/**
+ * Sorts the mods into the enabled ones that still need testing and the disabled ones.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {BisectionModSets} sets - The enabled mods and the ones confirmed to be fine
+ * @param {PackLists} packLists - The mods the pack config holds fine or disabled
+ * @returns {CategorizedMods} The disabled mods and the enabled ones that aren't fine
+ * @example
+ * const { disabledMods, enabledNonFineMods } = categorizeMods(allMods, { enabledMods, fineMods }, packLists);
+ */
+const categorizeMods = (allMods, { enabledMods, fineMods }, { alwaysDisabledMods }) => ({
+	// Get all disabled mods (excluding always-disabled mods)
+	disabledMods: allMods.filter(
+		(mod) => !enabledMods.has(mod.name) && !alwaysDisabledMods.includes(mod.name)
+	),
+	// Get all enabled mods that aren't marked as "fine"
+	enabledNonFineMods: allMods.filter(
+		(mod) => enabledMods.has(mod.name) && !fineMods.has(mod.name)
+	)
+});
+
+/**
+ * Makes a configuration follow the rules every configuration follows: the always fine mods are enabled,
+ * the always disabled mods aren't, whatever an enabled mod depends on is enabled, no two enabled mods conflict
+ * and the mods sharing a toggle directory are either all enabled or all disabled.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {Set<string>} enabledMods - The names of the enabled mods
+ * @param {PackLists} packLists - The mods the pack config holds fine or disabled
+ * @returns {Set<string>} The names of the enabled mods with all rules enforced
+ * @example
+ * // Always enforce mod rules after updating the enabled mods set
+ * enabledMods = enforceModRules(allMods, enabledMods, packLists);
+ */
+const enforceModRules = (allMods, enabledMods, { alwaysDisabledMods, alwaysFineMods }) => {
+	const updatedEnabledMods = new Set(enabledMods);
+
+	// Always ensure the always-fine mods are in the enabled list
+	// and always-disabled mods are not in the enabled list
+	for (const modName of alwaysFineMods) {
+		if (!alwaysDisabledMods.includes(modName)) {
+			updatedEnabledMods.add(modName);
+		}
+	}
+
+	for (const modName of alwaysDisabledMods) {
+		updatedEnabledMods.delete(modName);
+	}
+
+	// Enable whatever the enabled mods depend on
+	const availableMods = allMods.filter((mod) => !alwaysDisabledMods.includes(mod.name));
+	const dependencyClosure = withDependencies(
+		allMods.filter((mod) => updatedEnabledMods.has(mod.name)),
+		{
+			availableMods,
+			enabledMods: []
+		}
+	);
+
+	for (const mod of dependencyClosure) {
+		updatedEnabledMods.add(mod.name);
+	}
+
+	// Never enable two mods declaring a conflict, preferably disabling the one that isn't known to be fine
+	const conflictingMods = withoutConflicts(
+		allMods.filter((mod) => updatedEnabledMods.has(mod.name)),
+		{ keep: (mod) => alwaysFineMods.includes(mod.name) }
+	);
+
+	for (const mod of conflictingMods) {
+		updatedEnabledMods.delete(mod.name);
+	}
+
+	// A disabled mod disables its whole toggle directory, and with it the mods depending on the ones inside
+	const modsInDisabledDirectories = groupByToggleDirectory(allMods)
+		.filter((unit) => unit.some((mod) => !updatedEnabledMods.has(mod.name)))
+		.flat()
+		.filter((mod) => updatedEnabledMods.has(mod.name));
+	const modsToDisable = withoutDependents(
+		modsInDisabledDirectories,
+		{ enabledMods: allMods.filter((mod) => updatedEnabledMods.has(mod.name)) }
+	);
+
+	for (const mod of modsToDisable) {
+		updatedEnabledMods.delete(mod.name);
+	}
+
+	return updatedEnabledMods;
+};
+
+/**
+ * Takes the next step after the game ran fine: the enabled mods are marked fine,
+ * and a random half of the disabled mods is enabled along with what they depend on.
+ * Mods sharing a toggle directory are enabled together.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {BisectionModSets} sets - The tested sets
+ * @param {CategorizedMods} categorizedMods - The mods of the tested configuration
+ * @param {PackLists} packLists - The mods the pack config holds fine or disabled
+ * @returns {BisectionModSets} The sets for the next configuration
+ * @example
+ * const updatedSets = splitAfterPass(allMods, { enabledMods, fineMods }, { disabledMods, enabledNonFineMods }, packLists);
+ */
+const splitAfterPass = (allMods, { enabledMods, fineMods }, {
+	disabledMods, enabledNonFineMods
+}, { alwaysDisabledMods }) => {
+	// Clone the sets to avoid modifying the originals
+	const updatedFineMods = new Set(fineMods);
+	const updatedEnabledMods = new Set(enabledMods);
+
+	// 1. Mark all enabled non-fine mods as "fine"
+	for (const mod of enabledNonFineMods) {
+		updatedFineMods.add(mod.name);
+	}
+
+	// 2. Enable half of the disabled toggle directories (if any) - randomly selected, along with what they depend on
+	if (disabledMods.length > 0) {
+		const disabledUnits = groupByToggleDirectory(disabledMods);
+		const halfCount = Math.ceil(disabledUnits.length / 2);
+		const availableMods = allMods.filter((mod) => !alwaysDisabledMods.includes(mod.name));
+		const modsToEnable = withToggleDirectoryMates(
+			withDependencies(
+				shuffleArray(disabledUnits).slice(0, halfCount).flat(),
+				{
+					availableMods,
+					enabledMods: allMods.filter((mod) => enabledMods.has(mod.name))
+				}
+			),
+			availableMods
+		);
+
+		for (const mod of modsToEnable) {
+			// Don't enable always-disabled mods
+			if (!alwaysDisabledMods.includes(mod.name)) {
+				updatedEnabledMods.add(mod.name);
+			}
+		}
+	}
+
+	return {
+		enabledMods: updatedEnabledMods,
+		fineMods: updatedFineMods
+	};
+};
+
+/**
+ * Takes the next step after the game had problems: a random half of the enabled mods that still need testing
+ * is disabled along with the mods depending on them. Mods sharing a toggle directory are disabled together,
+ * a toggle directory holding an always fine mod is never disabled.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {BisectionModSets} sets - The tested sets
+ * @param {Mod[]} enabledNonFineMods - The enabled mods that still need testing
+ * @param {PackLists} packLists - The mods the pack config holds fine or disabled
+ * @returns {BisectionModSets} The sets for the next configuration
+ * @example
+ * const updatedSets = splitAfterFailure(allMods, { enabledMods, fineMods }, enabledNonFineMods, packLists);
+ */
+const splitAfterFailure = (allMods, {
+	enabledMods, fineMods
+}, enabledNonFineMods, { alwaysFineMods }) => {
+	// Clone the sets to avoid modifying the originals
+	const updatedEnabledMods = new Set(enabledMods);
+
+	// Disable half of the toggle directories with enabled non-fine mods (except the ones with always-fine mods),
+	// along with the mods depending on them
+	const currentlyEnabledMods = allMods.filter((mod) => enabledMods.has(mod.name));
+	const enabledUnits = groupByToggleDirectory(enabledNonFineMods)
+		.map((unit) => withToggleDirectoryMates(unit, currentlyEnabledMods))
+		.filter((unit) => unit.every(({ name }) => !alwaysFineMods.includes(name)));
+
+	if (enabledUnits.length > 0) {
+		const halfCount = Math.ceil(enabledUnits.length / 2);
+		const modsToDisable = withToggleDirectoryMates(
+			withoutDependents(
+				shuffleArray(enabledUnits).slice(0, halfCount).flat(),
+				{ enabledMods: currentlyEnabledMods }
+			),
+			currentlyEnabledMods
+		);
+
+		for (const mod of modsToDisable) {
+			if (!alwaysFineMods.includes(mod.name)) {
+				updatedEnabledMods.delete(mod.name);
+			}
+		}
+	}
+
+	return {
+		enabledMods: updatedEnabledMods,
+		fineMods: new Set(fineMods)
+	};
+};
+
+export {
+	categorizeMods,
+	enforceModRules,
+	initializeMods,
+	splitAfterFailure,
+	splitAfterPass
+};
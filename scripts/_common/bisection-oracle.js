@@ -0,0 +1,238 @@
+import { Input } from "@cliffy/prompt";
+
+import runOracle from "./oracle.js";
+import { getRequiredRunCount } from "./suspicion.js";
+
+/**
+ * @typedef {import("./ddmin.js").TestOutcome} TestOutcome
+ */
+
+/**
+ * @callback Oracle
+ * @param {Set<string>} enabledMods - Names of the mods enabled in the applied configuration
+ * @returns {Promise<TestOutcome>} Whether the game ran fine
+ */
+
+/**
+ * @typedef {object} TestSettings
+ * @property {Oracle|null} oracle - The command deciding instead of the user, `null` if the user decides
+ * @property {number} runCount - How often a configuration has to pass in a row before the pass is accepted
+ * @property {number} failureRate - How likely a run with the problematic mod enabled fails, between 0 and 1
+ * @property {number} confidence - How sure a pass has to be that the problem didn't just stay away,
+ * and how suspicious a mod has to be to end an unattended search, between 0 and 1
+ */
+
+/**
+ * @typedef {object} OracleCommandOptions
+ * @property {string|undefined} command - The executable deciding whether the game runs fine
+ * @property {string[]} commandArguments - Arguments passed to the executable
+ * @property {string} timeout - Seconds after which the oracle is stopped
+ * @property {string} timeoutOutcome - How to treat a stopped oracle, "fail" or "skip"
+ */
+
+/**
+ * @typedef {object} TestCommandOptions
+ * @property {Oracle|null} oracle - The command deciding instead of the user
+ * @property {string} repeat - How often a configuration has to pass in a row
+ * @property {string} confidence - How sure a pass has to be that no flaky problem was missed
+ * @property {string} failureRate - How likely a run with the problematic mod enabled fails
+ */
+
+/**
+ * The test outcome of a stopped oracle for each value of `--oracle-timeout-outcome`.
+ *
+ * @type {Record<string, TestOutcome>}
+ */
+const timeoutOutcomes = {
+	fail: "fail",
+	skip: "unresolved"
+};
+
+/**
+ * Creates the oracle from the command line options, if an oracle command is given.
+ *
+ * @param {OracleCommandOptions} options - The oracle command line options
+ * @returns {Oracle|null} The oracle, `null` if the user decides
+ * @throws {Error} If the timeout isn't a positive number or the timeout outcome isn't "fail" or "skip"
+ * @example
+ * const oracle = createOracle({
+ *   command: "./oracle.sh",
+ *   commandArguments: [],
+ *   timeout: "600",
+ *   timeoutOutcome: "skip"
+ * });
+ */
+const createOracle = ({
+	command, commandArguments, timeout, timeoutOutcome
+}) => {
+	if (command === undefined) {
+		return null;
+	}
+
+	const timeoutSeconds = Number(timeout);
+
+	if (
+		Number.isNaN(timeoutSeconds) ||
+		timeoutSeconds <= 0 ||
+		!Object.hasOwn(timeoutOutcomes, timeoutOutcome)
+	) {
+		throw new Error("--oracle-timeout has to be a positive number of seconds and --oracle-timeout-outcome \"fail\" or \"skip\".");
+	}
+
+	/**
+	 * Runs the oracle command for the applied configuration.
+	 *
+	 * @type {Oracle}
+	 */
+	const oracle = (enabledMods) => runOracle(enabledMods, {
+		command,
+		commandArguments,
+		timeout: timeoutSeconds,
+		timeoutOutcome: timeoutOutcomes[timeoutOutcome]
+	});
+
+	return oracle;
+};
+
+/**
+ * Creates the test settings from the command line options.
+ *
+ * @param {TestCommandOptions} options - The test command line options
+ * @returns {TestSettings} Who decides, how often a pass is repeated and how likely the problem shows up
+ * @throws {Error} If any of the numbers is out of range
+ * @example
+ * // Repeat every pass until a problem showing up one run in three is ruled out with 95% confidence
+ * const settings = createTestSettings({
+ *   confidence: "0.95",
+ *   failureRate: "0.33",
+ *   oracle: null,
+ *   repeat: "1"
+ * });
+ */
+const createTestSettings = ({
+	confidence, failureRate, oracle, repeat
+}) => {
+	const repeatCount = Number(repeat);
+	const failureRateValue = Number(failureRate);
+	const confidenceValue = Number(confidence);
+
+	const isInvalid = [
+		!Number.isInteger(repeatCount) || repeatCount < 1,
+		Number.isNaN(failureRateValue) || failureRateValue <= 0 || failureRateValue > 1,
+		Number.isNaN(confidenceValue) || confidenceValue <= 0 || confidenceValue >= 1
+	].some(Boolean);
+
+	if (isInvalid) {
+		throw new Error("--repeat has to be a positive whole number, --failure-rate above 0 and at most 1 and --confidence between 0 and 1.");
+	}
+
+	return {
+		confidence: confidenceValue,
+		failureRate: failureRateValue,
+		oracle,
+		runCount: Math.max(repeatCount, getRequiredRunCount(confidenceValue, failureRateValue))
+	};
+};
+
+/**
+ * Asks the user whether the game ran fine, until the answer is one ddmin understands.
+ *
+ * @returns {Promise<TestOutcome>} The outcome of the test
+ * @example
+ * // Ask after applying a configuration
+ * const outcome = await promptForOutcome();
+ */
+const promptForOutcome = async () => {
+	while (true) {
+		const userResponse = await Input.prompt({
+			default: "y",
+			message: "Did the game run fine? (y/n/s - skip, can't tell)"
+		});
+
+		switch (userResponse.toLowerCase()) {
+			case "n":
+			case "no":
+				return "fail";
+
+			case "s":
+			case "skip":
+				return "unresolved";
+
+			case "y":
+			case "yes":
+				return "pass";
+
+			default:
+				console.info("Invalid response. Please answer 'y', 'n', or 's'.");
+		}
+	}
+};
+
+/**
+ * Runs a test again as long as it passes, up to the given number of runs, so a flaky problem isn't missed.
+ *
+ * @template T
+ * @param {number} runCount - How often the test has to pass in a row
+ * @param {() => Promise<T>} runTest - Runs the test once
+ * @param {(result: T) => boolean} hasPassed - Whether a result is a pass
+ * @returns {Promise<T>} The first result that isn't a pass, or the last pass
+ * @example
+ * const outcome = await repeatWhilePassing(3, () => promptForOutcome(), (result) => result === "pass");
+ */
+const repeatWhilePassing = async (runCount, runTest, hasPassed) => {
+	let result = await runTest();
+
+	for (let run = 2; run <= runCount && hasPassed(result); run++) {
+		console.info(`Run ${run} of ${runCount} - making sure the problem doesn't just happen to stay away`);
+
+		result = await runTest();
+	}
+
+	return result;
+};
+
+/**
+ * Finds out whether the game runs fine with the applied configuration once, from the oracle if there is one
+ * or by asking the user otherwise.
+ *
+ * @param {Oracle|null} oracle - The command deciding instead of the user
+ * @param {Set<string>} enabledMods - The names of the enabled mods
+ * @returns {Promise<TestOutcome>} The outcome of the run
+ * @example
+ * const outcome = await checkConfigurationOnce(oracle, enabledMods);
+ */
+const checkConfigurationOnce = async (oracle, enabledMods) => {
+	if (oracle === null) {
+		return await promptForOutcome();
+	}
+
+	const outcome = await oracle(enabledMods);
+
+	console.info(`Oracle outcome: ${outcome}`);
+
+	return outcome;
+};
+
+/**
+ * Finds out whether the game runs fine with the applied configuration,
+ * repeating passing runs as often as the settings say.
+ *
+ * @param {TestSettings} settings - Who decides and how often a pass is repeated
+ * @param {Set<string>} enabledMods - The names of the enabled mods
+ * @returns {Promise<TestOutcome>} The outcome of the test
+ * @example
+ * // Test a configuration after applying it
+ * const outcome = await checkConfiguration(settings, enabledMods);
+ */
+const checkConfiguration = (settings, enabledMods) => repeatWhilePassing(
+	settings.runCount,
+	() => checkConfigurationOnce(settings.oracle, enabledMods),
+	(outcome) => outcome === "pass"
+);
+
+export {
+	checkConfiguration,
+	createOracle,
+	createTestSettings,
+	repeatWhilePassing
+};
@@ -0,0 +1,307 @@
+import { join } from "@std/path";
+
+import { findExistingLovelyIgnorePaths } from "./mod-roots.js";
+import { restoreLovelyIgnorePaths } from "./mod-toggles.js";
+
+const {
+	cwd,
+	errors: { NotFound },
+	readTextFile,
+	remove,
+	writeTextFile
+} = Deno;
+
+/**
+ * @typedef {object} BisectionSession
+ * @property {"bisect"|"ddmin"} mode - Which search the session runs
+ * @property {number} step - How many answers have been given
+ * @property {string[]} answers - Every answer so far, in order
+ * @property {string[]} lovelyIgnorePaths - The `.lovelyignore` files that existed before the session began
+ * @property {string[]} enabledMods - Names of the mods enabled in the current configuration
+ * @property {string[]} fineMods - Names of the mods confirmed to be fine
+ * @property {string[]} [suspectMods] - Names of the mods delta debugging reduces, in their original order
+ * @property {BisectionSets[]} [history] - The sets before each answer that can be undone, the latest one last
+ * @property {Suspicion} [suspicion] - How likely each mod is to cause the problem
+ * @property {string[]} [scopeMods] - Names of the mods the search covers,
+ * every other mod is held at its state from before the session
+ * @property {string[]} [alwaysFineMods] - Names of the mods considered fine before the session began,
+ * only the mods marked fine during the session are tested again
+ */
+
+/**
+ * @typedef {object} BisectionSets
+ * @property {string[]} enabledMods - Names of the enabled mods
+ * @property {string[]} fineMods - Names of the mods confirmed to be fine
+ * @property {Suspicion} [suspicion] - How likely each mod is to cause the problem
+ */
+
+/**
+ * @typedef {object} SessionStart
+ * @property {string[]} enabledMods - Names of the mods enabled in the first configuration
+ * @property {string[]} fineMods - Names of the mods considered fine from the start
+ * @property {string[]} alwaysFineMods - Names of the mods considered fine before the session began
+ * @property {string[]|null} scopeMods - Names of the mods the search covers, `null` if it covers every mod
+ * @property {string[]} [suspectMods] - Names of the mods delta debugging reduces, in their original order
+ */
+
+/**
+ * @typedef {object} BisectionStep
+ * @property {number} step - The number of the answer within the session, starting at 1
+ * @property {string} timestamp - When the answer was given, as an ISO 8601 string
+ * @property {"bisect"|"ddmin"} mode - Which search the answer belongs to
+ * @property {string[]} enabledMods - Names of the mods that were enabled when the answer was given
+ * @property {string} answer - The answer: "y", "n", "r" or "u" when bisecting, the test outcome for ddmin
+ */
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ * @typedef {import("./suspicion.js").Suspicion} Suspicion
+ */
+
+/**
+ * Default location of the session file, relative to the working directory.
+ */
+const defaultSessionPath = join(cwd(), "binary-search-session.json");
+
+/**
+ * Default location of the step log, relative to the working directory.
+ */
+const defaultStepLogPath = join(cwd(), "binary-search-steps.jsonl");
+
+/**
+ * Reads the saved session.
+ *
+ * @param {string} path - Location of the session file
+ * @returns {Promise<BisectionSession|null>} The saved session, `null` if there is none
+ * @example
+ * const session = await readSession(defaultSessionPath);
+ */
+const readSession = async (path) => {
+	try {
+		return JSON.parse(await readTextFile(path));
+	}
+	catch (error) {
+		if (!(error instanceof NotFound)) {
+			console.error("Error loading session:", error);
+		}
+
+		return null;
+	}
+};
+
+/**
+ * Saves the session, so it can be resumed after quitting.
+ *
+ * @param {string} path - Location of the session file
+ * @param {BisectionSession} session - The session after the latest answer
+ * @returns {Promise<void>}
+ * @example
+ * await writeSession(defaultSessionPath, { ...session, step: session.step + 1 });
+ */
+const writeSession = async (path, session) => {
+	try {
+		await writeTextFile(path, JSON.stringify(session, null, "\t"));
+	}
+	catch (error) {
+		console.error("Error saving session:", error);
+	}
+};
+
+/**
+ * Deletes the session file once the session is over.
+ *
+ * @param {string} path - Location of the session file
+ * @returns {Promise<void>}
+ * @example
+ * await deleteSession(defaultSessionPath);
+ */
+const deleteSession = async (path) => {
+	try {
+		await remove(path);
+	}
+	catch (error) {
+		if (!(error instanceof NotFound)) {
+			console.error("Error deleting session:", error);
+		}
+	}
+};
+
+/**
+ * Empties the step log, so it only contains the steps of the session about to start.
+ *
+ * @param {string} path - Location of the step log
+ * @returns {Promise<void>}
+ * @example
+ * await clearStepLog(defaultStepLogPath);
+ */
+const clearStepLog = async (path) => {
+	try {
+		await writeTextFile(path, "");
+	}
+	catch (error) {
+		console.error("Error clearing step log:", error);
+	}
+};
+
+/**
+ * Appends a step to the step log, one JSON object per line.
+ *
+ * @param {string} path - Location of the step log
+ * @param {BisectionStep} step - The step to log
+ * @returns {Promise<void>}
+ * @example
+ * await appendStep(defaultStepLogPath, {
+ *   answer: "n",
+ *   enabledMods: ["Talisman", "Cryptid"],
+ *   mode: "bisect",
+ *   step: 1,
+ *   timestamp: new Date().toISOString()
+ * });
+ */
+const appendStep = async (path, step) => {
+	try {
+		await writeTextFile(path, `${JSON.stringify(step)}\n`, { append: true });
+	}
+	catch (error) {
+		console.error("Error logging step:", error);
+	}
+};
+
+/**
+ * Reads the steps from a step log, skipping empty lines.
+ *
+ * @param {string} path - Location of the step log
+ * @returns {Promise<BisectionStep[]>} The logged steps in order
+ * @example
+ * for (const { answer, step } of await readStepLog(defaultStepLogPath)) {
+ *   console.info(`Step ${step}: ${answer}`);
+ * }
+ */
+const readStepLog = async (path) => {
+	const content = await readTextFile(path);
+
+	return content
+		.split("\n")
+		.filter((line) => line.trim() !== "")
+		.map((line) => JSON.parse(line));
+};
+
+/**
+ * Starts a new session, remembering the `.lovelyignore` files from before it so they can be restored on abort,
+ * and empties the step log. The session is saved right away, before the search toggles any mod,
+ * so quitting before the first answer can still be resumed or aborted.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {"bisect"|"ddmin"} mode - Which search the session runs
+ * @param {SessionStart} start - The mods the session starts with
+ * @returns {Promise<BisectionSession>} The session before the first answer
+ * @example
+ * const session = await startSession(mods, "bisect", {
+ *   alwaysFineMods: [],
+ *   enabledMods: ["Talisman", "Cryptid"],
+ *   fineMods: [],
+ *   scopeMods: null
+ * });
+ */
+const startSession = async (allMods, mode, {
+	alwaysFineMods, enabledMods, fineMods, scopeMods, suspectMods
+}) => {
+	const lovelyIgnorePaths = await findExistingLovelyIgnorePaths(allMods);
+
+	await clearStepLog(defaultStepLogPath);
+
+	/** @type {BisectionSession} */
+	const session = {
+		alwaysFineMods,
+		answers: [],
+		enabledMods,
+		fineMods,
+		history: [],
+		lovelyIgnorePaths,
+		mode,
+		...(scopeMods === null ? {} : { scopeMods }),
+		step: 0,
+		...(suspectMods === undefined ? {} : { suspectMods })
+	};
+
+	await writeSession(defaultSessionPath, session);
+
+	return session;
+};
+
+/**
+ * Logs an answer to the step log and saves the session after it. Undoing drops the latest sets from the history,
+ * any other answer adds the sets it was given for.
+ *
+ * @param {BisectionSession} session - The session before the answer
+ * @param {string} answer - The answer, "y", "n", "u" or "r"
+ * @param {BisectionSets} testedSets - The sets the answer was given for
+ * @param {{enabledMods: Set<string>, fineMods: Set<string>, suspicion?: Suspicion}} updatedSets - The sets and scores after the answer
+ * @returns {Promise<BisectionSession>} The session after the answer
+ * @example
+ * session = await recordAnswer(session, "n", testedSets, { enabledMods, fineMods });
+ */
+const recordAnswer = async (session, answer, testedSets, updatedSets) => {
+	const step = session.step + 1;
+	const history = session.history ?? [];
+
+	await appendStep(defaultStepLogPath, {
+		answer,
+		enabledMods: testedSets.enabledMods,
+		mode: session.mode,
+		step,
+		timestamp: new Date().toISOString()
+	});
+
+	/** @type {BisectionSession} */
+	const updatedSession = {
+		...session,
+		answers: [...session.answers, answer],
+		enabledMods: [...updatedSets.enabledMods],
+		fineMods: [...updatedSets.fineMods],
+		...(updatedSets.suspicion === undefined ? {} : { suspicion: updatedSets.suspicion }),
+		history: answer === "u" ? history.slice(0, -1) : [...history, testedSets],
+		step
+	};
+
+	await writeSession(defaultSessionPath, updatedSession);
+
+	return updatedSession;
+};
+
+/**
+ * Aborts the saved session, restoring the `.lovelyignore` files from before it began.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {BisectionSession|null} session - The saved session
+ * @returns {Promise<void>}
+ * @example
+ * // Undo everything the session changed
+ * await abortSession(mods, await readSession(defaultSessionPath));
+ */
+const abortSession = async (allMods, session) => {
+	if (session === null) {
+		console.info("There is no session to abort.");
+
+		return;
+	}
+
+	await restoreLovelyIgnorePaths(allMods, session.lovelyIgnorePaths);
+
+	await deleteSession(defaultSessionPath);
+
+	console.info(`Aborted the ${session.mode} session after ${session.step} steps, the previous mod state is restored.`);
+};
+
+export {
+	abortSession,
+	appendStep,
+	defaultSessionPath,
+	defaultStepLogPath,
+	deleteSession,
+	readSession,
+	readStepLog,
+	recordAnswer,
+	startSession,
+	writeSession
+};
@@ -0,0 +1,78 @@
+import { group } from "@radashi-org/radashi";
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * @typedef {object} IdCollision
+ * @property {string} id - The ID used more than once
+ * @property {Mod[]} mods - The mods using the ID
+ */
+
+/**
+ * @typedef {object} PrefixCollision
+ * @property {string} prefix - The prefix used more than once, explicitly or derived from the ID
+ * @property {Mod[]} mods - The mods using the prefix
+ */
+
+/**
+ * @typedef {object} ProvidedIdCollision
+ * @property {string} id - The ID of the mod that is also provided by other mods
+ * @property {Mod} mod - The mod with the ID
+ * @property {Mod[]} providers - The other mods providing the ID
+ */
+
+/**
+ * @typedef {object} Collisions
+ * @property {IdCollision[]} duplicateIds - Every ID used by more than one mod
+ * @property {PrefixCollision[]} duplicatePrefixes - Every prefix used by more than one mod
+ * @property {ProvidedIdCollision[]} providedIdCollisions - Every mod ID that other mods also provide
+ */
+
+/**
+ * Groups mods by a key and keeps the groups with more than one mod.
+ *
+ * @param {Mod[]} modList - The mods to group
+ * @param {(mod: Mod) => string} getKey - Returns the key to group by
+ * @returns {[string, Mod[]][]} The keys used by more than one mod, with those mods
+ * @example
+ * // Returns [["Talisman", [talismanA, talismanB]]] if two mods have the ID "Talisman"
+ * findDuplicates(mods, ({ id }) => id);
+ */
+const findDuplicates = (modList, getKey) => Object.entries(group(modList, getKey))
+	.map(([key, modsWithKey = []]) => /** @type {[string, Mod[]]} */ ([key, modsWithKey]))
+	.filter(([, modsWithKey]) => modsWithKey.length > 1);
+
+/**
+ * Finds IDs and prefixes that more than one mod uses, and mod IDs that other mods also provide.
+ * Steamodded requires both IDs and prefixes to be unique across all installed mods.
+ *
+ * @param {Mod[]} modList - The mods to check, usually all installed mods
+ * @returns {Collisions} The duplicate IDs, duplicate prefixes and provided ID collisions
+ * @example
+ * const { duplicateIds, duplicatePrefixes, providedIdCollisions } = findCollisions(mods);
+ */
+const findCollisions = (modList) => ({
+	duplicateIds: findDuplicates(modList, ({ id }) => id)
+		.map(([id, modsWithId]) => ({
+			id,
+			mods: modsWithId
+		})),
+	duplicatePrefixes: findDuplicates(modList, ({ prefix }) => prefix)
+		.map(([prefix, modsWithPrefix]) => ({
+			mods: modsWithPrefix,
+			prefix
+		})),
+	providedIdCollisions: modList
+		.map((mod) => ({
+			id: mod.id,
+			mod,
+			providers: modList.filter((provider) => (
+				provider !== mod && (provider.provides ?? []).some(({ id }) => id === mod.id)
+			))
+		}))
+		.filter(({ providers }) => providers.length > 0)
+});
+
+export default findCollisions;
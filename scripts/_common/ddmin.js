@@ -0,0 +1,178 @@
+/**
+ * @typedef {"fail"|"pass"|"unresolved"} TestOutcome
+ */
+
+/**
+ * @template T
+ * @callback ConfigurationTest
+ * @param {T[]} configuration - The items to test together
+ * @returns {Promise<TestOutcome>} Whether the problem shows up, doesn't, or the test couldn't tell
+ */
+
+/**
+ * @template T
+ * @typedef {object} DdminResult
+ * @property {T[]} minimalItems - A 1-minimal failing subset: removing any single item makes the problem go away
+ * @property {boolean} reproduced - Whether the whole configuration failed, nothing is reduced if it didn't
+ * @property {number} testCount - How many distinct configurations were tested
+ */
+
+/**
+ * @template T
+ * @typedef {object} DdminState
+ * @property {T[]} items - The smallest configuration known to fail so far
+ * @property {number} granularity - How many chunks to split it into next
+ * @property {boolean} done - Whether the configuration is 1-minimal
+ */
+
+/**
+ * Splits a list into a number of chunks of almost equal size, keeping the order.
+ *
+ * @template T
+ * @param {T[]} items - Items in the order they should keep
+ * @param {number} count - How many chunks to split it into, at most the length of the list
+ * @returns {T[][]} The chunks, each a slice of the list
+ * @example
+ * // Returns [[1, 2], [3, 4], [5]]
+ * splitIntoChunks([1, 2, 3, 4, 5], 3);
+ */
+const splitIntoChunks = (items, count) => Array.from(
+	{ length: count },
+	(empty, index) => items.slice(
+		Math.floor(index * items.length / count),
+		Math.floor((index + 1) * items.length / count)
+	)
+);
+
+/**
+ * Tests configurations one after the other until one fails.
+ *
+ * @template T
+ * @param {T[][]} configurations - The configurations to test, in order
+ * @param {(configuration: T[]) => Promise<boolean>} fails - Tests whether a configuration fails
+ * @returns {Promise<T[]|null>} The first failing configuration, `null` if none fails
+ * @example
+ * const failingChunk = await findFirstFailing(chunks, fails);
+ */
+const findFirstFailing = async (configurations, fails) => {
+	for (const configuration of configurations) {
+		if (await fails(configuration)) {
+			return configuration;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Runs one step of ddmin: continues with the first failing chunk or complement of the current configuration,
+ * or splits it into finer chunks if none fails.
+ *
+ * @template T
+ * @param {DdminState<T>} state - The current configuration and how many chunks to split it into
+ * @param {(configuration: T[]) => Promise<boolean>} fails - Tests whether a configuration fails
+ * @returns {Promise<DdminState<T>>} The state for the next step
+ * @example
+ * state = await reduceStep(state, fails);
+ */
+const reduceStep = async ({ granularity, items }, fails) => {
+	const chunks = splitIntoChunks(items, Math.min(granularity, items.length));
+	const failingChunk = await findFirstFailing(chunks, fails);
+
+	if (failingChunk !== null) {
+		return {
+			done: failingChunk.length <= 1,
+			granularity: 2,
+			items: failingChunk
+		};
+	}
+
+	// With two chunks, each complement is the other chunk, which has just been tested
+	const complements = chunks.length > 2
+		? chunks.map((chunk) => items.filter((item) => !chunk.includes(item)))
+		: [];
+	const failingComplement = await findFirstFailing(complements, fails);
+
+	if (failingComplement !== null) {
+		return {
+			done: failingComplement.length <= 1,
+			granularity: Math.max(granularity - 1, 2),
+			items: failingComplement
+		};
+	}
+
+	return {
+		done: chunks.length >= items.length,
+		granularity: Math.min(granularity * 2, items.length),
+		items
+	};
+};
+
+/**
+ * Reduces a failing configuration to a 1-minimal failing subset with the ddmin delta debugging algorithm.
+ * The whole configuration is tested first, as there is nothing to reduce if it doesn't fail.
+ * Each step tests the chunks of the current configuration and their complements, continuing with the first one
+ * that still fails and testing in finer chunks when none does. Identical configurations are only tested once,
+ * and "unresolved" outcomes count as not failing.
+ *
+ * @template T
+ * @param {T[]} failingItems - A configuration known to fail
+ * @param {ConfigurationTest<T>} test - Tests a configuration
+ * @returns {Promise<DdminResult<T>>} The minimal failing subset and the number of tests it took
+ * @example
+ * const { minimalItems, reproduced } = await ddmin(enabledMods, async (configuration) => {
+ *   await applyConfiguration(configuration);
+ *
+ *   return (await askUser()) ? "pass" : "fail";
+ * });
+ */
+const ddmin = async (failingItems, test) => {
+	/** @type {Map<string, TestOutcome>} */
+	const outcomes = new Map();
+
+	/**
+	 * Tests a configuration unless the same one has been tested before.
+	 *
+	 * @param {T[]} configuration - The items to test together
+	 * @returns {Promise<boolean>} Whether the configuration fails
+	 * @example
+	 * if (await fails(chunk)) {
+	 *   items = chunk;
+	 * }
+	 */
+	const fails = async (configuration) => {
+		const key = configuration.map((item) => failingItems.indexOf(item)).join(",");
+
+		if (!outcomes.has(key)) {
+			outcomes.set(key, await test(configuration));
+		}
+
+		return outcomes.get(key) === "fail";
+	};
+
+	if (!(await fails(failingItems))) {
+		return {
+			minimalItems: failingItems,
+			reproduced: false,
+			testCount: outcomes.size
+		};
+	}
+
+	let state = {
+		done: failingItems.length <= 1,
+		granularity: 2,
+		items: failingItems
+	};
+
+	while (!state.done) {
+		state = await reduceStep(state, fails);
+	}
+
+	return {
+		minimalItems: state.items,
+		reproduced: true,
+		testCount: outcomes.size
+	};
+};
+
+export default ddmin;
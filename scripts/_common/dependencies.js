@@ -0,0 +1,233 @@
+/**
+ * @typedef {"<<"|"<="|"=="|">="|">>"} VersionOperator
+ */
+
+/**
+ * @typedef {object} VersionConstraint
+ * @property {VersionOperator} operator - The comparison operator
+ * @property {string} version - The version to compare against
+ */
+
+/**
+ * @typedef {object} DependencyInfo
+ * @property {string} id - The ID of the dependency or conflicting mod
+ * @property {VersionConstraint[]} constraints - The version constraints, all of which must be met
+ */
+
+/**
+ * A list of alternatives, any one of which satisfies the dependency.
+ *
+ * @typedef {DependencyInfo[]} DependencyGroup
+ */
+
+/**
+ * @typedef {object} ProvidedId
+ * @property {string} id - The ID the mod can stand in for
+ * @property {string} [version] - The version it stands in as, the mod's own version if missing
+ */
+
+/** @type {Set<string>} */
+const versionOperators = new Set([
+	"<<",
+	"<=",
+	"==",
+	">=",
+	">>"
+]);
+
+/**
+ * Checks whether a string is a known version operator.
+ *
+ * @param {string} string - The string to check
+ * @returns {string is VersionOperator} Whether the string is a version operator
+ * @example
+ * // Returns true
+ * isVersionOperator(">>");
+ */
+const isVersionOperator = (string) => versionOperators.has(string);
+
+/**
+ * Splits a dependency string into its ID and the contents of each parenthesized group after it.
+ *
+ * @param {string} string - A single dependency, e.g. "Talisman (>=2.0) (<<3.0)"
+ * @returns {{id: string, groups: string[]}} The ID and the trimmed group contents
+ * @example
+ * // Returns { id: "Talisman", groups: [">=2.0", "<<3.0"] }
+ * splitParenthesizedGroups("Talisman (>=2.0) (<<3.0)");
+ */
+const splitParenthesizedGroups = (string) => {
+	const trimmedString = string.trim();
+	const groupsStart = trimmedString.indexOf("(");
+
+	if (groupsStart === -1) {
+		return {
+			id: trimmedString,
+			groups: []
+		};
+	}
+
+	return {
+		id: trimmedString.slice(0, groupsStart).trim(),
+		groups: [...trimmedString.slice(groupsStart).matchAll(/\((?<content>[^\(\)]*)\)/gv)]
+			.map(({ groups: { content = "" } = {} }) => content.trim())
+	};
+};
+
+/**
+ * Parses the content of one parenthesized group into a version constraint.
+ * A group without an operator, e.g. "(2.0)", requires that exact version.
+ *
+ * @param {string} group - The group content, e.g. ">=2.0"
+ * @returns {VersionConstraint} The version constraint
+ * @example
+ * // Returns { operator: "<<", version: "3.0" }
+ * parseConstraint("<<3.0");
+ */
+const parseConstraint = (group) => {
+	const operator = group.slice(0, 2);
+
+	if (isVersionOperator(operator)) {
+		return {
+			operator,
+			version: group.slice(2).trim()
+		};
+	}
+
+	return {
+		operator: "==",
+		version: group
+	};
+};
+
+/**
+ * Parses a single alternative of a dependency string, accepting both the current syntax
+ * ("Talisman (>=2.0) (<<3.0)") and the inline syntax of legacy headers ("Talisman>=2.0").
+ *
+ * @param {string} string - A single alternative
+ * @returns {DependencyInfo} The parsed dependency
+ * @example
+ * // Returns { id: "Steamodded", constraints: [{ operator: ">=", version: "1.0.0~BETA-0404a" }] }
+ * parseAlternative("Steamodded (>=1.0.0~BETA-0404a)");
+ */
+const parseAlternative = (string) => {
+	const { id, groups } = splitParenthesizedGroups(string);
+	const { groups: inlineGroups } = id.match(/^(?<inlineId>[^<=>]+)(?<operator>[<=>]=)(?<version>.+)$/v) ?? {};
+
+	if (groups.length === 0 && inlineGroups && isVersionOperator(inlineGroups.operator)) {
+		const {
+			inlineId, operator, version
+		} = inlineGroups;
+
+		return {
+			id: inlineId.trim(),
+			constraints: [
+				{
+					operator,
+					version: version.trim()
+				}
+			]
+		};
+	}
+
+	return {
+		id,
+		constraints: groups.filter((group) => group !== "").map(parseConstraint)
+	};
+};
+
+/**
+ * Parses a dependency or conflict string from a manifest into its alternatives.
+ *
+ * @param {string} string - The dependency string, e.g. "Cryptid|Talisman (>=2.0)"
+ * @returns {DependencyGroup} The alternatives, any one of which satisfies the dependency
+ * @example
+ * // Returns [{ id: "Cryptid", constraints: [] }, { id: "Talisman", constraints: [{ operator: ">=", version: "2.0" }] }]
+ * parseDependency("Cryptid|Talisman (>=2.0)");
+ */
+const parseDependency = (string) => string
+	.split("|")
+	.map(parseAlternative)
+	.filter(({ id }) => id !== "");
+
+/**
+ * Converts the object form of a dependency (`{ id, minVersion, maxVersion }`) into a dependency group.
+ *
+ * @param {object} dependency - A dependency declared as an object, as in older manifests
+ * @param {string} dependency.id - The ID of the required or conflicting mod
+ * @param {string} [dependency.minVersion] - The lowest accepted version, inclusive
+ * @param {string} [dependency.maxVersion] - The highest accepted version, inclusive
+ * @returns {DependencyGroup} A group with the dependency as its only alternative
+ * @example
+ * // Returns [{ id: "Talisman", constraints: [{ operator: ">=", version: "2.0" }] }]
+ * fromDependencyObject({ id: "Talisman", minVersion: "2.0" });
+ */
+const fromDependencyObject = ({
+	id, minVersion, maxVersion
+}) => {
+	/** @type {VersionConstraint[]} */
+	const constraints = [];
+
+	if (minVersion !== undefined) {
+		constraints.push({
+			operator: ">=",
+			version: minVersion
+		});
+	}
+
+	if (maxVersion !== undefined) {
+		constraints.push({
+			operator: "<=",
+			version: maxVersion
+		});
+	}
+
+	return [
+		{
+			id,
+			constraints
+		}
+	];
+};
+
+/**
+ * Parses a `provides` entry, e.g. "Talisman (2.0.3)".
+ *
+ * @param {string} string - The `provides` entry
+ * @returns {ProvidedId} The provided ID and, if given, the version it is provided as
+ * @example
+ * // Returns { id: "Talisman", version: "2.0.3" }
+ * parseProvidedId("Talisman (2.0.3)");
+ */
+const parseProvidedId = (string) => {
+	const { id, groups: [version] } = splitParenthesizedGroups(string);
+
+	if (version === undefined || version === "") {
+		return { id };
+	}
+
+	return {
+		id,
+		version
+	};
+};
+
+/**
+ * Formats a dependency group back into the manifest syntax for display.
+ *
+ * @param {DependencyGroup|DependencyInfo} dependency - The dependency group or a single alternative
+ * @returns {string} The formatted dependency
+ * @example
+ * // Returns "Cryptid|Talisman (>=2.0)"
+ * formatDependency([{ id: "Cryptid", constraints: [] }, { id: "Talisman", constraints: [{ operator: ">=", version: "2.0" }] }]);
+ */
+const formatDependency = (dependency) => (Array.isArray(dependency) ? dependency : [dependency])
+	.map(({ id, constraints }) => [id, ...constraints.map(({ operator, version }) => `(${operator}${version})`)]
+		.join(" "))
+	.join("|");
+
+export {
+	formatDependency,
+	fromDependencyObject,
+	parseDependency,
+	parseProvidedId
+};
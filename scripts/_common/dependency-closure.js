@@ -0,0 +1,144 @@
+import resolveMods, {
+	builtinIds, findMatchingMods, indexModsById
+} from "./resolver.js";
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ * @typedef {import("./dependencies.js").DependencyGroup} DependencyGroup
+ */
+
+/**
+ * Checks whether a dependency is always met because it names the game or the loader.
+ *
+ * @param {DependencyGroup} dependency - The dependency to check
+ * @returns {boolean} Whether any alternative is built in
+ * @example
+ * // Returns true
+ * isBuiltinDependency(parseDependency("Steamodded (>=1.0.0~BETA-0404a)"));
+ */
+const isBuiltinDependency = (dependency) => dependency.some(({ id }) => builtinIds.has(id));
+
+/**
+ * Extends a selection of mods to enable with every mod they need, directly or indirectly,
+ * that isn't enabled already. For dependencies with several alternatives, the first available provider is used.
+ *
+ * @param {Mod[]} selectedMods - The mods about to be enabled
+ * @param {object} context - The mods around the selection
+ * @param {Mod[]} context.availableMods - The mods that may be enabled to satisfy a dependency
+ * @param {Mod[]} context.enabledMods - The mods that are enabled already
+ * @returns {Mod[]} The selected mods followed by the dependencies they pull in
+ * @example
+ * const modsToEnable = withDependencies([cryptid], { availableMods, enabledMods });
+ * // Also contains Talisman if it is available and not enabled yet
+ */
+const withDependencies = (selectedMods, { availableMods, enabledMods }) => {
+	const availableIndex = indexModsById(availableMods);
+	const closure = new Set(selectedMods);
+
+	let changed = true;
+
+	while (changed) {
+		changed = false;
+
+		const activeIndex = indexModsById([...enabledMods, ...closure]);
+
+		const unmetDependencies = [...closure]
+			.flatMap(({ dependencies = [] }) => dependencies)
+			.filter((dependency) => (
+				!isBuiltinDependency(dependency) &&
+				findMatchingMods(dependency, activeIndex).length === 0
+			));
+
+		for (const dependency of unmetDependencies) {
+			const [provider] = findMatchingMods(dependency, availableIndex);
+
+			if (provider !== undefined) {
+				closure.add(provider);
+				changed = true;
+			}
+		}
+	}
+
+	return [...closure];
+};
+
+/**
+ * Extends a selection of mods to disable with every enabled mod that only works because of them,
+ * directly or indirectly. Dependencies that weren't met to begin with don't pull a mod in.
+ *
+ * @param {Mod[]} selectedMods - The mods about to be disabled
+ * @param {object} context - The mods around the selection
+ * @param {Mod[]} context.enabledMods - The mods that are enabled, including the selected ones
+ * @returns {Mod[]} The selected mods followed by their dependents
+ * @example
+ * const modsToDisable = withoutDependents([talisman], { enabledMods });
+ * // Also contains Cryptid if it is enabled
+ */
+const withoutDependents = (selectedMods, { enabledMods }) => {
+	const closure = new Set(selectedMods);
+
+	let changed = true;
+
+	while (changed) {
+		changed = false;
+
+		const remainingMods = enabledMods.filter((mod) => !closure.has(mod));
+		const activeIndex = indexModsById(remainingMods);
+		const removedIndex = indexModsById(closure);
+
+		for (const mod of remainingMods) {
+			const lostDependency = (mod.dependencies ?? []).some((dependency) => (
+				!isBuiltinDependency(dependency) &&
+				findMatchingMods(dependency, activeIndex).length === 0 &&
+				findMatchingMods(dependency, removedIndex).length > 0
+			));
+
+			if (lostDependency) {
+				closure.add(mod);
+				changed = true;
+			}
+		}
+	}
+
+	return [...closure];
+};
+
+/**
+ * Finds the mods to disable so that no enabled mod declares a conflict with another enabled mod.
+ * Of each conflicting pair, the mod not marked to keep is disabled, or the one declaring the conflict
+ * if both or neither are. Their dependents are disabled as well.
+ *
+ * @param {Mod[]} enabledMods - The mods that are enabled
+ * @param {object} [options] - How to pick the mod to disable
+ * @param {(mod: Mod) => boolean} [options.keep] - Whether a mod should stay enabled if possible
+ * @returns {Mod[]} The mods to disable
+ * @example
+ * const modsToDisable = withoutConflicts(enabledMods, { keep: (mod) => fineMods.has(mod.name) });
+ */
+const withoutConflicts = (enabledMods, { keep = () => false } = {}) => {
+	/** @type {Set<Mod>} */
+	const droppedMods = new Set();
+
+	let remainingMods = enabledMods;
+	let [activeConflict] = resolveMods(remainingMods, remainingMods).activeConflicts;
+
+	while (activeConflict !== undefined) {
+		const { conflictingMod, mod } = activeConflict;
+		const modToDrop = keep(mod) && !keep(conflictingMod) ? conflictingMod : mod;
+
+		for (const droppedMod of withoutDependents([modToDrop], { enabledMods: remainingMods })) {
+			droppedMods.add(droppedMod);
+		}
+
+		remainingMods = enabledMods.filter((enabledMod) => !droppedMods.has(enabledMod));
+		[activeConflict] = resolveMods(remainingMods, remainingMods).activeConflicts;
+	}
+
+	return [...droppedMods];
+};
+
+export {
+	withDependencies,
+	withoutConflicts,
+	withoutDependents
+};
@@ -0,0 +1,228 @@
+import { spawnGame } from "./launcher.js";
+
+/**
+ * @typedef {import("./launcher.js").Launcher} Launcher
+ */
+
+/**
+ * @typedef {object} GameRunOptions
+ * @property {number} timeout - Seconds after which the game is stopped if it isn't done yet
+ * @property {(line: string) => void} onOutputLine - Receives every line the game writes to stdout
+ * @property {AbortSignal} signal - Aborted once the run has everything it needs, so the game can be stopped
+ */
+
+/**
+ * @typedef {object} GameRunResult
+ * @property {boolean} completed - Whether the game was stopped because the run had everything it needed
+ * @property {boolean} timedOut - Whether the game was stopped because it took too long
+ * @property {number} code - The exit code of the game
+ * @property {string|null} signal - The signal that ended the game, `null` if it exited by itself
+ * @property {boolean} success - Whether the game exited with code 0
+ * @property {string[]} stdoutTail - The last lines the game wrote to stdout
+ * @property {string[]} stderrTail - The last lines the game wrote to stderr
+ */
+
+/**
+ * @typedef {object} LineReader
+ * @property {Promise<void>} done - Resolves once the stream has ended or the reader is cancelled
+ * @property {() => Promise<void>} cancel - Stops reading, dropping anything not read yet
+ */
+
+/**
+ * How many lines of each output stream are kept.
+ */
+const OUTPUT_TAIL_LENGTH = 20;
+
+/**
+ * How long to wait for the rest of the output after the game exited by itself.
+ */
+const OUTPUT_DRAIN_MILLISECONDS = 1_000;
+
+/**
+ * Converts the timeout to what `setTimeout` expects.
+ */
+const MILLISECONDS_PER_SECOND = 1_000;
+
+/**
+ * Reads a stream of text line by line, without carriage returns.
+ *
+ * @param {ReadableStream<Uint8Array>} stream - The stream to read
+ * @param {(line: string) => void} onLine - Receives every line
+ * @returns {LineReader} The running reader
+ * @example
+ * const stderrReader = readLines(gameProcess.stderr, (line) => console.info(line));
+ */
+const readLines = (stream, onLine) => {
+	const reader = stream.getReader();
+	const decoder = new TextDecoder();
+
+	const done = (async () => {
+		let pending = "";
+		let result = await reader.read();
+
+		while (!result.done) {
+			const lines = (pending + decoder.decode(result.value, { stream: true })).split("\n");
+
+			pending = lines.pop() ?? "";
+
+			for (const line of lines) {
+				onLine(line.replace(/\r$/v, ""));
+			}
+
+			result = await reader.read();
+		}
+
+		if (pending !== "") {
+			onLine(pending.replace(/\r$/v, ""));
+		}
+	})().catch(() => {
+		// The game was stopped while its output was being read
+	});
+
+	return {
+		cancel: () => reader.cancel().catch(() => {
+			// The stream has already ended
+		}),
+		done
+	};
+};
+
+/**
+ * Adds a line to the end of a tail, dropping the oldest line if it is full.
+ *
+ * @param {string[]} tail - The lines kept so far, changed in place
+ * @param {string} line - The new line
+ * @example
+ * pushToTail(stderrTail, line);
+ */
+const pushToTail = (tail, line) => {
+	tail.push(line);
+
+	if (tail.length > OUTPUT_TAIL_LENGTH) {
+		tail.shift();
+	}
+};
+
+/**
+ * Resolves after a while.
+ *
+ * @param {number} milliseconds - How long to wait
+ * @returns {{promise: Promise<void>, clear: () => void}} The promise and a way to stop the timer early
+ * @example
+ * const timeout = wait(5_000);
+ */
+const wait = (milliseconds) => {
+	const { promise, resolve } = Promise.withResolvers();
+	const timer = setTimeout(resolve, milliseconds);
+
+	return {
+		clear: () => clearTimeout(timer),
+		promise
+	};
+};
+
+/**
+ * Resolves once a signal is aborted, right away if it already is.
+ *
+ * @param {AbortSignal} signal - The signal to wait for
+ * @returns {Promise<void>} Resolves on abort
+ * @example
+ * await whenAborted(controller.signal);
+ */
+const whenAborted = (signal) => {
+	/** @type {PromiseWithResolvers<void>} */
+	const { promise, resolve } = Promise.withResolvers();
+
+	if (signal.aborted) {
+		resolve();
+	}
+	else {
+		signal.addEventListener("abort", () => resolve(), { once: true });
+	}
+
+	return promise;
+};
+
+/**
+ * Starts the game and waits until the run is complete, it exits by itself or it takes too long.
+ * The game is stopped in the first and last case. The last lines of both output streams are kept,
+ * so a crash can be told apart from a game that never got far enough.
+ *
+ * @param {Launcher} launcher - How to start the game
+ * @param {GameRunOptions} options - When the run is complete and how long it may take
+ * @returns {Promise<GameRunResult>} How the run ended
+ * @example
+ * const controller = new AbortController();
+ *
+ * const { completed } = await runGame(launcher, {
+ *   onOutputLine: (line) => {
+ *     if (line.includes("Game ready")) {
+ *       controller.abort();
+ *     }
+ *   },
+ *   signal: controller.signal,
+ *   timeout: 120
+ * });
+ */
+const runGame = async (launcher, {
+	onOutputLine, signal: completionSignal, timeout
+}) => {
+	const gameProcess = spawnGame(launcher);
+
+	/** @type {string[]} */
+	const stdoutTail = [];
+	/** @type {string[]} */
+	const stderrTail = [];
+
+	const stdoutReader = readLines(gameProcess.stdout, (line) => {
+		pushToTail(stdoutTail, line);
+		onOutputLine(line);
+	});
+	const stderrReader = readLines(gameProcess.stderr, (line) => pushToTail(stderrTail, line));
+
+	const timer = wait(timeout * MILLISECONDS_PER_SECOND);
+
+	const ending = await Promise.race([
+		whenAborted(completionSignal).then(() => "completed"),
+		gameProcess.status.then(() => "exited"),
+		timer.promise.then(() => "timedOut")
+	]);
+
+	timer.clear();
+
+	if (ending !== "exited") {
+		try {
+			gameProcess.kill();
+		}
+		catch {
+			// The game exited on its own in the meantime
+		}
+	}
+
+	const {
+		code,
+		signal,
+		success
+	} = await gameProcess.status;
+
+	// Output written right before exiting may still be on its way
+	const drainTimer = wait(OUTPUT_DRAIN_MILLISECONDS);
+
+	await Promise.race([Promise.all([stdoutReader.done, stderrReader.done]), drainTimer.promise]);
+
+	drainTimer.clear();
+
+	await Promise.all([stdoutReader.cancel(), stderrReader.cancel()]);
+
+	return {
+		code,
+		completed: ending === "completed",
+		signal,
+		stderrTail,
+		stdoutTail,
+		success,
+		timedOut: ending === "timedOut"
+	};
+};
+
+export default runGame;
@@ -0,0 +1,30 @@
+const {
+	Command,
+	cwd
+} = Deno;
+
+/**
+ * Finds the commit a repository is at.
+ *
+ * @param {string} [directory] - A directory inside the repository, the working directory by default
+ * @returns {Promise<string|null>} The hash of the checked out commit, `null` if it can't be determined
+ * @example
+ * const commit = await getHeadCommit(mod.submoduleDirectory);
+ */
+const getHeadCommit = async (directory = cwd()) => {
+	try {
+		const { stdout, success } = await new Command("git", {
+			args: ["rev-parse", "HEAD"],
+			cwd: directory,
+			stderr: "null",
+			stdout: "piped"
+		}).output();
+
+		return success ? new TextDecoder().decode(stdout).trim() : null;
+	}
+	catch {
+		return null;
+	}
+};
+
+export default getHeadCommit;
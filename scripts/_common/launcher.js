@@ -0,0 +1,331 @@
+import { join } from "@std/path";
+
+import * as v from "@valibot/valibot";
+
+const {
+	build: { os },
+	Command,
+	cwd,
+	env,
+	errors: { NotFound },
+	readTextFile
+} = Deno;
+
+/**
+ * @typedef {"linux"|"macos"|"proton"} LauncherProfileName
+ */
+
+/**
+ * @typedef {object} Launcher
+ * @property {LauncherProfileName} profile - The profile the defaults come from
+ * @property {string} command - The executable starting the game
+ * @property {string[]} commandArguments - Arguments passed to the executable
+ * @property {Record<string, string>} environment - Environment variables set on top of the inherited ones
+ * @property {string} workingDirectory - The directory the game is started in
+ */
+
+/**
+ * @typedef {object} LauncherOptions
+ * @property {LauncherProfileName} [profile] - The profile to start from
+ * @property {string} [gameDirectory] - The Balatro install directory the profile defaults point into
+ * @property {string} [command] - Replaces the executable of the profile
+ * @property {string[]} [commandArguments] - Replaces the arguments of the profile
+ * @property {Record<string, string>} [environment] - Environment variables added to the ones of the profile
+ * @property {string} [workingDirectory] - Replaces the working directory of the profile
+ */
+
+/**
+ * Default location of the launcher config, relative to the working directory.
+ * It holds machine specific paths, so it isn't committed.
+ */
+const defaultLauncherConfigPath = join(cwd(), "launcher.json");
+
+/**
+ * Prefix of the environment variables overriding the launcher config.
+ */
+const ENVIRONMENT_PREFIX = "BENCH_LAUNCHER_";
+
+/**
+ * The environment variable overriding each launcher option.
+ *
+ * @type {Record<keyof LauncherOptions, string>}
+ */
+const environmentVariableNames = {
+	command: `${ENVIRONMENT_PREFIX}COMMAND`,
+	commandArguments: `${ENVIRONMENT_PREFIX}ARGUMENTS`,
+	environment: `${ENVIRONMENT_PREFIX}ENVIRONMENT`,
+	gameDirectory: `${ENVIRONMENT_PREFIX}GAME_DIRECTORY`,
+	profile: `${ENVIRONMENT_PREFIX}PROFILE`,
+	workingDirectory: `${ENVIRONMENT_PREFIX}WORKING_DIRECTORY`
+};
+
+/**
+ * The launcher options given as JSON in environment variables.
+ */
+const jsonOptionKeys = new Set(["commandArguments", "environment"]);
+
+/**
+ * Where Steam installs Balatro on Linux, relative to the home directory.
+ */
+const linuxSteamGameDirectory = join(".local", "share", "Steam", "steamapps", "common", "Balatro");
+
+/**
+ * Where Steam installs Balatro for each profile, relative to the home directory.
+ *
+ * @type {Record<LauncherProfileName, string>}
+ */
+const steamGameDirectories = {
+	linux: linuxSteamGameDirectory,
+	macos: join("Library", "Application Support", "Steam", "steamapps", "common", "Balatro"),
+	proton: linuxSteamGameDirectory
+};
+
+/**
+ * How each profile starts the game with Lovely injected, given the Balatro install directory.
+ *
+ * - `macos` runs the LÖVE binary inside the app bundle and preloads `liblovely.dylib`.
+ * - `linux` runs a native LÖVE on the game archive and preloads `liblovely.so`.
+ * - `proton` runs the Windows build with Wine, loading Lovely's `version.dll` before the builtin one.
+ * For Proton itself, point the command at the `proton` script and pass `run` before the executable.
+ *
+ * @type {Record<LauncherProfileName, (gameDirectory: string) => Omit<Launcher, "profile">>}
+ */
+const profiles = {
+	linux: (gameDirectory) => ({
+		command: "love",
+		commandArguments: [join(gameDirectory, "Balatro.exe")],
+		environment: { LD_PRELOAD: join(gameDirectory, "liblovely.so") },
+		workingDirectory: gameDirectory
+	}),
+	macos: (gameDirectory) => ({
+		command: join(gameDirectory, "Balatro.app", "Contents", "MacOS", "love"),
+		commandArguments: [join(gameDirectory, "Balatro.app", "Contents", "Resources", "Balatro")],
+		environment: { DYLD_INSERT_LIBRARIES: "liblovely.dylib" },
+		workingDirectory: gameDirectory
+	}),
+	proton: (gameDirectory) => ({
+		command: "wine",
+		commandArguments: [join(gameDirectory, "Balatro.exe")],
+		environment: { WINEDLLOVERRIDES: "version=n,b" },
+		workingDirectory: gameDirectory
+	})
+};
+
+/**
+ * The profile used when none is configured, by operating system.
+ *
+ * @type {Partial<Record<typeof os, LauncherProfileName>>}
+ */
+const defaultProfiles = {
+	darwin: "macos",
+	linux: "proton"
+};
+
+const profileNameSchema = v.picklist(
+	/** @type {LauncherProfileName[]} */ (Object.keys(profiles)),
+	(issue) => `Unknown launcher profile ${issue.input}, expected one of ${Object.keys(profiles).join(", ")}`
+);
+
+const launcherOptionsSchema = v.strictObject({
+	command: v.exactOptional(
+		v.pipe(
+			v.string(),
+			v.nonEmpty()
+		)
+	),
+	commandArguments: v.exactOptional(v.array(v.string())),
+	environment: v.exactOptional(v.record(v.string(), v.string())),
+	gameDirectory: v.exactOptional(
+		v.pipe(
+			v.string(),
+			v.nonEmpty()
+		)
+	),
+	profile: v.exactOptional(profileNameSchema),
+	workingDirectory: v.exactOptional(
+		v.pipe(
+			v.string(),
+			v.nonEmpty()
+		)
+	)
+});
+
+/**
+ * Describes why a launcher option couldn't be read, naming the option that doesn't match the format.
+ *
+ * @param {unknown} error - The error thrown while reading the options
+ * @returns {string} What is wrong
+ * @example
+ * // Returns "commandArguments: Invalid type: Expected Array but received \"-windowed\""
+ * describeLauncherError(error);
+ */
+const describeLauncherError = (error) => {
+	if (error instanceof v.ValiError) {
+		return error.issues
+			.map((issue) => {
+				const key = v.getDotPath(issue);
+
+				return key === null ? issue.message : `${key}: ${issue.message}`;
+			})
+			.join(", ");
+	}
+
+	return error instanceof Error ? error.message : String(error);
+};
+
+/**
+ * Reads the launcher options from the config file, none if it doesn't exist.
+ *
+ * @param {string} path - Location of the launcher config
+ * @returns {Promise<LauncherOptions>} The options in the file
+ * @throws {Error} If the file can't be read, isn't JSON or doesn't match the format, naming the file
+ * @example
+ * const fileOptions = await readLauncherConfig(defaultLauncherConfigPath);
+ */
+const readLauncherConfig = async (path) => {
+	try {
+		const content = await readTextFile(path);
+
+		return v.parse(launcherOptionsSchema, JSON.parse(content));
+	}
+	catch (error) {
+		if (error instanceof NotFound) {
+			return {};
+		}
+
+		throw new Error(`Invalid launcher config ${path}: ${describeLauncherError(error)}`, { cause: error });
+	}
+};
+
+/**
+ * Reads the launcher options from environment variables. Arguments are given as a JSON array
+ * and environment variables as a JSON object.
+ *
+ * @returns {LauncherOptions} The options that are set
+ * @throws {Error} If a variable isn't valid JSON or doesn't match the format, naming the variable
+ * @example
+ * // With BENCH_LAUNCHER_COMMAND=./stub-game.sh in the environment, returns { command: "./stub-game.sh" }
+ * readLauncherEnvironment();
+ */
+const readLauncherEnvironment = () => {
+	/** @type {Partial<LauncherOptions>} */
+	const options = {};
+
+	const optionKeys = /** @type {Array<keyof LauncherOptions>} */ (
+		Object.keys(environmentVariableNames)
+	);
+
+	for (const key of optionKeys) {
+		const variableName = environmentVariableNames[key];
+		const value = env.get(variableName);
+
+		if (value === undefined || value === "") {
+			continue;
+		}
+
+		try {
+			const rawValue = jsonOptionKeys.has(key) ? JSON.parse(value) : value;
+
+			Object.assign(options, {
+				[key]: v.parse(launcherOptionsSchema.entries[key], rawValue)
+			});
+		}
+		catch (error) {
+			throw new Error(`Invalid ${variableName}: ${describeLauncherError(error)}`, { cause: error });
+		}
+	}
+
+	return options;
+};
+
+/**
+ * Works out how to start the game from a profile and the options replacing its defaults.
+ *
+ * @param {LauncherOptions} options - The profile and what to change about it
+ * @returns {Launcher} The command, arguments, environment and working directory to start the game with
+ * @throws {Error} If no profile is given and there is no default one for the operating system
+ * @example
+ * // Start a stub instead of the game
+ * const launcher = createLauncher({
+ *   command: "./stub-game.sh",
+ *   commandArguments: [],
+ *   profile: "linux"
+ * });
+ */
+const createLauncher = ({
+	command,
+	commandArguments,
+	environment = {},
+	gameDirectory,
+	profile = defaultProfiles[os],
+	workingDirectory
+}) => {
+	if (profile === undefined) {
+		throw new Error(`There is no default launcher profile for ${os}, pick one of ${Object.keys(profiles).join(", ")}`);
+	}
+
+	const profileDefaults = profiles[profile](
+		gameDirectory ?? join(env.get("HOME") ?? "", steamGameDirectories[profile])
+	);
+
+	return {
+		command: command ?? profileDefaults.command,
+		commandArguments: commandArguments ?? profileDefaults.commandArguments,
+		environment: {
+			...profileDefaults.environment,
+			...environment
+		},
+		profile,
+		workingDirectory: workingDirectory ?? profileDefaults.workingDirectory
+	};
+};
+
+/**
+ * Loads how to start the game. The options in the config file replace the defaults of the profile,
+ * and `BENCH_LAUNCHER_*` environment variables replace the options in the file. The config file
+ * can be moved with `BENCH_LAUNCHER_CONFIG`.
+ *
+ * @returns {Promise<Launcher>} How to start the game
+ * @throws {Error} If the config file or one of the variables is invalid, or there is no profile to start from
+ * @example
+ * const launcher = await loadLauncher();
+ */
+const loadLauncher = async () => {
+	const fileOptions = await readLauncherConfig(
+		env.get(`${ENVIRONMENT_PREFIX}CONFIG`) ?? defaultLauncherConfigPath
+	);
+	const environmentOptions = readLauncherEnvironment();
+
+	return createLauncher({
+		...fileOptions,
+		...environmentOptions,
+		environment: {
+			...fileOptions.environment,
+			...environmentOptions.environment
+		}
+	});
+};
+
+/**
+ * Starts the game, with its output piped so it can be read.
+ *
+ * @param {Launcher} launcher - How to start the game
+ * @returns {Deno.ChildProcess} The running game
+ * @example
+ * const gameProcess = spawnGame(await loadLauncher());
+ */
+const spawnGame = ({
+	command, commandArguments, environment, workingDirectory
+}) => new Command(command, {
+	args: commandArguments,
+	cwd: workingDirectory,
+	env: environment,
+	stderr: "piped",
+	stdin: "null",
+	stdout: "piped"
+}).spawn();
+
+export {
+	loadLauncher,
+	spawnGame
+};
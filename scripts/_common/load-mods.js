@@ -0,0 +1,673 @@
+import { walk } from "@std/fs";
+import {
+	basename, globToRegExp, join
+} from "@std/path";
+
+import {
+	camel, mapKeys, shake
+} from "@radashi-org/radashi";
+import * as v from "@valibot/valibot";
+
+import {
+	fromDependencyObject, parseDependency, parseProvidedId
+} from "./dependencies.js";
+import {
+	findSharedToggleDirectories,
+	findSubmoduleDirectory,
+	findToggleDirectory,
+	isAtModFileDepth,
+	isModEnabled,
+	MAX_MOD_FILE_DEPTH
+} from "./mod-roots.js";
+import {
+	defaultScanCachePath, isCacheEntryFresh, readScanCache, writeScanCache
+} from "./scan-cache.js";
+import { parseHeaderList, parseSteamoddedHeader } from "./steamodded-header.js";
+
+const {
+	cwd,
+	readTextFile,
+	stat
+} = Deno;
+
+/**
+ * @typedef {import("./dependencies.js").DependencyInfo} DependencyInfo
+ * @typedef {import("./dependencies.js").DependencyGroup} DependencyGroup
+ * @typedef {import("./dependencies.js").ProvidedId} ProvidedId
+ */
+
+/**
+ * @typedef {object} Mod
+ * @property {string} id - The unique identifier of the mod
+ * @property {string[]} author - The authors of the mod
+ * @property {string} name - The name of the mod
+ * @property {string} displayName - The display name of the mod
+ * @property {string} description - The description of the mod
+ * @property {string} mainFile - The main file of the mod
+ * @property {string} path - The path to the mod directory
+ * @property {string} prefix - The prefix used for mod objects
+ * @property {boolean} [prefixDerived] - Whether the prefix was derived from the ID because a legacy header didn't declare one
+ * @property {boolean} enabled - Whether the mod is enabled (true) or disabled (false)
+ * @property {string} toggleDirectory - The directory whose `.lovelyignore` disables the mod, shared by every mod inside it
+ * @property {string|null} submoduleDirectory - The git repository containing the mod, `null` if there is none
+ * @property {string} [version] - Optional version of the mod
+ * @property {number} [priority] - Optional priority for loading
+ * @property {string} [badgeColour] - Optional badge background color
+ * @property {string} [badgeTextColour] - Optional badge text color
+ * @property {DependencyInfo[]} [conflicts] - Optional list of conflicting mods
+ * @property {DependencyGroup[]} [dependencies] - Optional list of dependencies, each a list of alternatives
+ * @property {DependencyGroup[]} [optionalDependencies] - Optional list of mods to load first if they are installed
+ * @property {ProvidedId[]} [provides] - Optional list of provided mod capabilities
+ */
+
+/**
+ * @typedef {object} DiagnosticIssue
+ * @property {string} key - The dot path of the offending manifest key, empty for the file as a whole
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * @typedef {object} Diagnostic
+ * @property {string} path - The path of the rejected or suspicious file
+ * @property {"error"|"warning"} severity - Whether the file was rejected or only parsed with warnings
+ * @property {boolean} looksLikeManifest - Whether the file looks like it was meant to be a mod manifest
+ * @property {DiagnosticIssue[]} issues - Why the file was rejected, or what looked wrong about it
+ */
+
+/**
+ * @typedef {object} LoadModsOptions
+ * @property {string} [root] - The Mods folder to scan, defaults to "Mods" in the working directory
+ * @property {string[]} [include] - Globs relative to `root` limiting which files are scanned, e.g. "Talisman/**"
+ * @property {AbortSignal} [signal] - Aborts the scan between two files
+ * @property {string|false} [cache] - Where to cache scan results between runs, `false` to always read every file
+ */
+
+/**
+ * @typedef {object} LoadedMods
+ * @property {Mod[]} mods - The valid mods, sorted by name
+ * @property {Diagnostic[]} diagnostics - Every file that was rejected or parsed with warnings
+ */
+
+/**
+ * A mod as declared by its file, before the state of its folder is looked at.
+ *
+ * @typedef {Omit<Mod, "enabled"|"submoduleDirectory"|"toggleDirectory">} ParsedMod
+ */
+
+/**
+ * @typedef {object} ScanResult
+ * @property {ParsedMod|null} mod - The mod declared by the file, `null` if it doesn't declare a valid one
+ * @property {Diagnostic[]} diagnostics - Why the file was rejected, or what looked wrong about it
+ */
+
+/**
+ * @typedef {import("./scan-cache.js").ScanCacheEntry} ScanCacheEntry
+ */
+
+/**
+ * File extensions of the files that can contain a mod manifest or header.
+ */
+const manifestExtensions = [".lua", ".json"];
+
+const hexColorLength = 6;
+const hexColorWithAlphaLength = 8;
+
+/**
+ * Length of prefix to extract from mod ID
+ */
+const PREFIX_LENGTH = 4;
+
+/**
+ * A dependency or conflict entry, either as a string like "Talisman (>=2.0) (<<3.0)" or "Cryptid|Talisman",
+ * or as an object with `id`, `minVersion` and `maxVersion`. Both are turned into a list of alternatives.
+ */
+const dependencySchema = v.union([
+	v.pipe(
+		v.string(),
+		v.nonEmpty(),
+		v.transform(parseDependency),
+		v.minLength(1)
+	),
+	v.pipe(
+		v.record(v.string(), v.any()),
+		v.transform((rawDependency) => shake(mapKeys(rawDependency, camel), (value) => value === "")),
+		v.strictObject({
+			id: v.pipe(
+				v.string(),
+				v.nonEmpty()
+			),
+			minVersion: v.exactOptional(
+				v.pipe(
+					v.string(),
+					v.nonEmpty()
+				)
+			),
+			maxVersion: v.exactOptional(
+				v.pipe(
+					v.string(),
+					v.nonEmpty()
+				)
+			)
+		}),
+		v.transform((dependency) => fromDependencyObject(dependency))
+	)
+]);
+
+const modSchema = v.pipe(
+	v.record(v.string(), v.any()),
+	v.transform((rawMod) => shake(mapKeys(rawMod, camel), (value) => value === "")),
+	v.object({
+		id: v.pipe(
+			v.string(),
+			v.notValues([
+				"Steamodded",
+				"Lovely",
+				"Balatro"
+			]),
+			v.nonEmpty(),
+			v.description(
+				"Must be unique. \"Steamodded\", \"Lovely\" and \"Balatro\" are disallowed."
+			)
+		),
+		author: v.pipe(
+			v.array(
+				v.pipe(
+					v.string(),
+					v.nonEmpty()
+				)
+			)
+		),
+		badgeColour: v.pipe(
+			v.exactOptional(
+				v.union([
+					v.pipe(
+						v.string(),
+						v.hexadecimal(),
+						v.length(hexColorLength)
+					),
+					v.pipe(
+						v.string(),
+						v.hexadecimal(),
+						v.length(hexColorWithAlphaLength)
+					)
+				]),
+				"666665"
+			),
+			v.description("Background colour for your mod badge. Must be a valid hex color with 6 or 8 digits (RRGGBB or RRGGBBAA).")
+		),
+		badgeTextColour: v.pipe(
+			v.exactOptional(
+				v.union([
+					v.pipe(
+						v.string(),
+						v.hexadecimal(),
+						v.length(hexColorLength)
+					),
+					v.pipe(
+						v.string(),
+						v.hexadecimal(),
+						v.length(hexColorWithAlphaLength)
+					)
+				]),
+				"FFFFFF"
+			),
+			v.description("Text colour for your mod badge. Must be a valid hex color with 6 or 8 digits (RRGGBB or RRGGBBAA).")
+		),
+		conflicts: v.pipe(
+			v.exactOptional(
+				v.pipe(
+					v.array(dependencySchema),
+					v.transform((conflictGroups) => conflictGroups.flat())
+				),
+				[]
+			),
+			v.description("No mods in the list (that fulfill version restrictions) may be installed, else this mod will not load.")
+		),
+		dependencies: v.pipe(
+			v.exactOptional(
+				v.array(dependencySchema),
+				[]
+			),
+			v.description("All mods in the list must be installed and loaded (and must fulfill version requirements), else this mod will not load.")
+		),
+		description: v.pipe(
+			v.string(),
+			v.nonEmpty(),
+			v.description("A description of your mod. To use more advanced typesetting, specify your description as a localization entry at G.localization.descriptions.Mod[id].")
+		),
+		displayName: v.pipe(
+			v.exactOptional(
+				v.pipe(
+					v.string(),
+					v.nonEmpty()
+				)
+			),
+			v.description("Displayed text on your mod badge.")
+		),
+		dumpLoc: v.pipe(
+			v.exactOptional(
+				v.boolean(),
+				false
+			),
+			v.description("!! Not for use in distributions. Writes all localization changes made on startup to a file, for conversion from a legacy system.")
+		),
+		mainFile: v.pipe(
+			v.string(),
+			v.nonEmpty(),
+			v.endsWith(".lua"),
+			v.description("This is the entry point of your mod. The specified file (including .lua extension) will be executed when your mod is loaded.")
+		),
+		name: v.pipe(
+			v.string(),
+			v.nonEmpty(),
+			v.description("Name of your mod.")
+		),
+		optionalDependencies: v.pipe(
+			v.exactOptional(
+				v.array(dependencySchema),
+				[]
+			),
+			v.description("Mods in the list are loaded before this mod if they are installed, but aren't required for it to load.")
+		),
+		path: v.pipe(
+			v.string(),
+			v.nonEmpty(),
+			v.description("Path to the folder of the mod.")
+		),
+		prefix: v.pipe(
+			v.string(),
+			v.nonEmpty(),
+			v.description("Must be unique. This prefix is added to the keys of all objects your mod registers. UNLIKE LEGACY HEADERS, THERE IS NO DEFAULT VALUE.")
+		),
+		priority: v.pipe(
+			v.exactOptional(
+				v.pipe(
+					v.number(),
+					v.finite()
+				),
+				0
+			),
+			v.description("Mods are loaded in order from lowest to highest priority value.")
+		),
+		provides: v.pipe(
+			v.exactOptional(
+				v.array(
+					v.pipe(
+						v.string(),
+						v.nonEmpty(),
+						v.transform(parseProvidedId)
+					)
+				),
+				[]
+			),
+			v.description("Use this if your mod is able to stand in for a different mod and fulfill dependencies on it. This allows the usage of a different ID so both mods can coexist. If you don't specify a valid version, your mod's version is used instead.")
+		),
+		version: v.pipe(
+			v.exactOptional(
+				v.pipe(
+					v.string(),
+					v.nonEmpty()
+				)
+			),
+			v.description("Must follow a version format of (major).(minor).(patch)(rev). rev starting with ~ indicates a beta/pre-release version.")
+		)
+	}),
+	v.transform(({
+		name,
+
+		displayName = name,
+		...rest
+	}) => ({
+		...rest,
+		displayName,
+		name
+	}))
+);
+
+/**
+ * Parses a JSON file containing mod metadata and validates it against the schema.
+ *
+ * @param {object} content - The mod content object
+ * @param {string} content.content - The content of the mod file as a string
+ * @param {string} content.path - The file system path of the mod file
+ * @returns {ParsedMod} The parsed and validated mod object
+ * @example
+ * const modData = parseModJson({
+ *   content: '{"id": "MyMod", "name": "My Mod", "description": "A cool mod"}',
+ *   path: "/path/to/mod/metadata.json"
+ * });
+ */
+const parseModJson = ({ content, path }) => {
+	const rawMod = JSON.parse(content);
+
+	return v.parse(modSchema, {
+		...rawMod,
+		path
+	});
+};
+
+/**
+ * Parses a Lua file containing mod header information and validates it against the schema.
+ *
+ * @param {object} options0 - The options object containing mod header information
+ * @param {string} options0.content - The content of the Lua file containing the mod header
+ * @param {string} options0.path - The file system path of the mod header file
+ * @returns {{mod: ParsedMod, warnings: string[]}} The parsed and validated mod object and any header warnings
+ * @throws {Error} Throws an error if the header is invalid or cannot be parsed
+ * @example
+ * const { mod, warnings } = parseModHeader({
+ *   content: '--- STEAMODDED HEADER\n--- MOD_ID: MyMod\n--- MOD_NAME: My Mod\n--- MOD_DESCRIPTION: A cool mod',
+ *   path: "/path/to/mod/main.lua"
+ * });
+ */
+const parseModHeader = ({ content, path }) => {
+	const { fields, warnings } = parseSteamoddedHeader(content);
+
+	const {
+		BADGE_COLOR: badgeColor,
+		BADGE_TEXT_COLOR: badgeTextColor,
+		CONFLICTS: conflictsString,
+		DEPS: depsString,
+		DISPLAY_NAME: displayName,
+		LOADER_VERSION_GEQ: minLoaderVersion,
+		LOADER_VERSION_LEQ: maxLoaderVersion,
+		MOD_AUTHOR: authorString,
+		MOD_DESCRIPTION: description,
+		MOD_ID: id,
+		MOD_NAME: name,
+		OPTIONAL_DEPENDENCIES: optionalDependenciesString,
+		PREFIX: explicitPrefix,
+		PRIORITY: priorityString = "0",
+		VERSION: version,
+
+		BADGE_COLOUR: badgeColour = badgeColor,
+		BADGE_TEXT_COLOUR: badgeTextColour = badgeTextColor,
+		DEPENDS: dependsString = depsString,
+
+		DEPENDENCIES: dependenciesString = dependsString
+	} = shake(fields, (value) => value === "");
+
+	const prefix = explicitPrefix ?? id?.slice(0, PREFIX_LENGTH).toLowerCase();
+
+	// The loader version bounds are a dependency on Steamodded itself
+	const loaderDependencies = minLoaderVersion === undefined && maxLoaderVersion === undefined
+		? []
+		: [
+			shake({
+				id: "Steamodded",
+				minVersion: minLoaderVersion,
+				maxVersion: maxLoaderVersion
+			})
+		];
+
+	const mod = v.parse(
+		modSchema,
+		shake({
+			id,
+			author: parseHeaderList(authorString),
+			badgeColour,
+			badgeTextColour,
+			conflicts: parseHeaderList(conflictsString),
+			dependencies: [...parseHeaderList(dependenciesString), ...loaderDependencies],
+			description,
+			displayName,
+			mainFile: basename(path),
+			name,
+			optionalDependencies: parseHeaderList(optionalDependenciesString),
+			path,
+			prefix,
+			priority: Number(priorityString),
+			version
+		})
+	);
+
+	return {
+		mod: {
+			...mod,
+			prefixDerived: explicitPrefix === undefined
+		},
+		warnings
+	};
+};
+
+/**
+ * Checks whether a rejected JSON file looks like it was meant to be a mod manifest,
+ * as opposed to localization, config or other data files mods ship.
+ *
+ * @param {string} content - The content of the JSON file
+ * @returns {boolean} Whether the file declares any of the keys identifying a manifest
+ * @example
+ * // Returns true
+ * looksLikeJsonManifest('{ "id": "MyMod", "name": "My Mod" }');
+ */
+const looksLikeJsonManifest = (content) => /"(?:id|mainFile|main_file|prefix)"\s*:/v.test(content);
+
+/**
+ * Turns an error thrown while parsing a mod file into a diagnostic.
+ *
+ * @param {object} options - The rejected file
+ * @param {unknown} options.error - The error thrown while parsing it
+ * @param {boolean} options.looksLikeManifest - Whether the file looks like it was meant to be a mod manifest
+ * @param {string} options.path - The path of the file
+ * @returns {Diagnostic} The diagnostic for the file
+ * @example
+ * const diagnostic = toDiagnostic({ error, looksLikeManifest: true, path });
+ */
+const toDiagnostic = ({
+	error, looksLikeManifest, path
+}) => {
+	if (error instanceof v.ValiError) {
+		return {
+			issues: error.issues.map((issue) => ({
+				key: v.getDotPath(issue) ?? "",
+				message: issue.message
+			})),
+			looksLikeManifest,
+			path,
+			severity: "error"
+		};
+	}
+
+	return {
+		issues: [
+			{
+				key: "",
+				message: error instanceof Error ? error.message : String(error)
+			}
+		],
+		looksLikeManifest,
+		path,
+		severity: "error"
+	};
+};
+
+/**
+ * Parses a single file into a mod or diagnostics, depending on whether it is a valid manifest,
+ * a valid header, an invalid one or not a mod file at all.
+ *
+ * @param {string} path - Location of the file to read
+ * @returns {Promise<ScanResult>} The mod in the file, if any, and its diagnostics
+ * @example
+ * const { diagnostics, mod } = await scanModFile(path);
+ */
+const scanModFile = async (path) => {
+	const content = await readTextFile(path);
+
+	if (path.endsWith(".json")) {
+		try {
+			return {
+				diagnostics: [],
+				mod: parseModJson({
+					content,
+					path
+				})
+			};
+		}
+		catch (error) {
+			return {
+				diagnostics: [
+					toDiagnostic({
+						error,
+						looksLikeManifest: looksLikeJsonManifest(content),
+						path
+					})
+				],
+				mod: null
+			};
+		}
+	}
+
+	if (!path.endsWith(".lua") || !content.startsWith("--- STEAMODDED HEADER")) {
+		return {
+			diagnostics: [],
+			mod: null
+		};
+	}
+
+	try {
+		const { mod, warnings } = parseModHeader({
+			content,
+			path
+		});
+
+		return {
+			diagnostics: warnings.length > 0
+				? [
+					{
+						issues: warnings.map((message) => ({
+							key: "",
+							message
+						})),
+						looksLikeManifest: true,
+						path,
+						severity: "warning"
+					}
+				]
+				: [],
+			mod
+		};
+	}
+	catch (error) {
+		return {
+			diagnostics: [
+				toDiagnostic({
+					error,
+					looksLikeManifest: true,
+					path
+				})
+			],
+			mod: null
+		};
+	}
+};
+
+/**
+ * Scans a file unless the scan cache has a result for it with the same size and modification time.
+ *
+ * @param {string} path - Location of the file to scan
+ * @param {Record<string, ScanCacheEntry>} cachedEntries - The entries read from the scan cache
+ * @returns {Promise<ScanCacheEntry>} The cache entry for the file, reused or fresh
+ * @example
+ * const { result } = await scanModFileCached(path, cachedEntries);
+ */
+const scanModFileCached = async (path, cachedEntries) => {
+	const fileInfo = await stat(path);
+	const cachedEntry = cachedEntries[path];
+
+	if (isCacheEntryFresh(cachedEntry, fileInfo)) {
+		return cachedEntry;
+	}
+
+	return {
+		mtime: fileInfo.mtime?.getTime() ?? null,
+		result: await scanModFile(path),
+		size: fileInfo.size
+	};
+};
+
+/**
+ * Scans a Mods folder for mod manifests and legacy mod headers, the same way Steamodded does.
+ * Files that look like manifests but fail to parse are reported as diagnostics instead of aborting the scan.
+ * Only files one or two directories below the Mods folder are considered, like Steamodded does.
+ * Files whose size and modification time haven't changed since the last scan are taken from the scan cache,
+ * whether a mod is enabled is checked on every scan.
+ *
+ * @param {LoadModsOptions} [options] - Where to scan, which files to include and where to cache the results
+ * @returns {Promise<LoadedMods>} The mods found and the diagnostics for rejected files
+ * @example
+ * const { diagnostics, mods } = await loadMods({ root: "/path/to/fixture/Mods" });
+ */
+const loadMods = async ({
+	cache = defaultScanCachePath,
+	include,
+	root = join(cwd(), "Mods"),
+	signal
+} = {}) => {
+	const cachedEntries = cache === false ? {} : await readScanCache(cache);
+
+	// A partial scan only refreshes the files it includes
+	/** @type {Record<string, ScanCacheEntry>} */
+	const entries = include ? { ...cachedEntries } : {};
+
+	/** @type {Mod[]} */
+	const mods = [];
+
+	/** @type {Diagnostic[]} */
+	const diagnostics = [];
+
+	const walkOptions = {
+		maxDepth: MAX_MOD_FILE_DEPTH,
+		exts: manifestExtensions,
+		includeDirs: false,
+		...(include && { match: include.map((glob) => globToRegExp(join(root, glob))) })
+	};
+
+	for await (const { path } of walk(root, walkOptions)) {
+		signal?.throwIfAborted();
+
+		if (!isAtModFileDepth(root, path)) {
+			continue;
+		}
+
+		const entry = await scanModFileCached(path, cachedEntries);
+		const { diagnostics: fileDiagnostics, mod } = /** @type {ScanResult} */ (entry.result);
+
+		entries[path] = entry;
+		diagnostics.push(...fileDiagnostics);
+
+		if (mod !== null) {
+			mods.push({
+				...mod,
+				enabled: await isModEnabled(root, path),
+				submoduleDirectory: await findSubmoduleDirectory(root, path),
+				toggleDirectory: findToggleDirectory(root, path)
+			});
+		}
+	}
+
+	for (const { mods: modsInDirectory, toggleDirectory } of findSharedToggleDirectories(mods)) {
+		diagnostics.push({
+			issues: [
+				{
+					key: "",
+					message: `Disabling this directory disables all of ${modsInDirectory.map(({ name }) => name).join(", ")}`
+				}
+			],
+			looksLikeManifest: true,
+			path: toggleDirectory,
+			severity: "warning"
+		});
+	}
+
+	if (cache !== false) {
+		await writeScanCache(cache, entries);
+	}
+
+	return {
+		diagnostics,
+		mods: mods
+			.toSorted(({ name: nameA }, { name: nameB }) => nameA.localeCompare(nameB))
+	};
+};
+
+export default loadMods;
@@ -0,0 +1,153 @@
+import { assertEquals } from "@std/assert";
+import { dirname, join } from "@std/path";
+
+import loadMods from "./load-mods.js";
+
+const {
+	makeTempDir,
+	mkdir,
+	remove,
+	test,
+	writeTextFile
+} = Deno;
+
+/**
+ * Creates a Mods folder with the given files in a temporary directory.
+ *
+ * @param {Record<string, string>} files - The content of each file, by its path relative to the Mods folder
+ * @returns {Promise<string>} The location of the Mods folder
+ * @example
+ * const root = await createModsFolder({ "Talisman/manifest.json": "{}" });
+ */
+const createModsFolder = async (files) => {
+	const root = await makeTempDir({ prefix: "load-mods-" });
+
+	for (const [relativePath, content] of Object.entries(files)) {
+		const path = join(root, relativePath);
+
+		await mkdir(dirname(path), { recursive: true });
+		await writeTextFile(path, content);
+	}
+
+	return root;
+};
+
+/**
+ * Creates a manifest declaring a mod with the given ID, which is also its name.
+ *
+ * @param {string} id - The ID of the mod
+ * @param {object} [fields] - Further manifest keys
+ * @returns {string} The content of the manifest
+ * @example
+ * const manifest = createManifest("Talisman", { version: "2.0.0" });
+ */
+const createManifest = (id, fields = {}) => JSON.stringify({
+	id,
+	author: ["Tester"],
+	description: "A mod for testing",
+	mainFile: "main.lua",
+	name: id,
+	prefix: id.toLowerCase(),
+	...fields
+});
+
+test("loadMods finds the mods one and two directories below the Mods folder only", async () => {
+	const root = await createModsFolder({
+		"Deep/Pack/Mod/deep.json": createManifest("Deep"),
+		"loose.json": createManifest("Loose"),
+		"Nested/Pack/nested.json": createManifest("Nested"),
+		"Top/top.json": createManifest("Top")
+	});
+
+	try {
+		const { mods } = await loadMods({
+			cache: false,
+			root
+		});
+
+		const toggleDirectories = Object.fromEntries(
+			mods.map(({ name, toggleDirectory }) => [name, toggleDirectory])
+		);
+
+		assertEquals(toggleDirectories, {
+			Nested: join(root, "Nested"),
+			Top: join(root, "Top")
+		});
+	}
+	finally {
+		await remove(root, { recursive: true });
+	}
+});
+
+test("loadMods marks the mods below a .lovelyignore as disabled", async () => {
+	const root = await createModsFolder({
+		"Disabled/.lovelyignore": "",
+		"Disabled/disabled.json": createManifest("Disabled"),
+		"Enabled/enabled.json": createManifest("Enabled"),
+		"Pack/Inner/.lovelyignore": "",
+		"Pack/Inner/inner.json": createManifest("Inner"),
+		"Pack/outer.json": createManifest("Outer")
+	});
+
+	try {
+		const { mods } = await loadMods({
+			cache: false,
+			root
+		});
+
+		assertEquals(Object.fromEntries(mods.map(({ enabled, name }) => [name, enabled])), {
+			Disabled: false,
+			Enabled: true,
+			Inner: false,
+			Outer: true
+		});
+	}
+	finally {
+		await remove(root, { recursive: true });
+	}
+});
+
+test("loadMods reads legacy Steamodded headers", async () => {
+	const root = await createModsFolder({
+		"Legacy/main.lua": [
+			"--- STEAMODDED HEADER",
+			"--- MOD_NAME: Legacy Mod",
+			"--- MOD_ID: LegacyMod",
+			"--- MOD_AUTHOR: [Jane, John]",
+			"--- MOD_DESCRIPTION: A mod with a header",
+			"--- DEPENDENCIES: [Talisman>=2.0]",
+			"--- PRIORITY: -1",
+			"",
+			"print(\"Hello\")"
+		].join("\n"),
+		"Talisman/talisman.json": createManifest("Talisman", { version: "2.1.0" })
+	});
+
+	try {
+		const { diagnostics, mods } = await loadMods({
+			cache: false,
+			root
+		});
+		const legacyMod = mods.find(({ id }) => id === "LegacyMod");
+
+		assertEquals(diagnostics, []);
+		assertEquals({
+			author: legacyMod?.author,
+			dependencies: legacyMod?.dependencies?.map((group) => group.map(({ id }) => id)),
+			mainFile: legacyMod?.mainFile,
+			name: legacyMod?.name,
+			prefix: legacyMod?.prefix,
+			priority: legacyMod?.priority
+		}, {
+			author: ["Jane", "John"],
+			dependencies: [["Talisman"]],
+			mainFile: "main.lua",
+			name: "Legacy Mod",
+			prefix: "lega",
+			priority: -1
+		});
+	}
+	finally {
+		await remove(root, { recursive: true });
+	}
+});
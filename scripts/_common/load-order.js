@@ -0,0 +1,116 @@
+import { findMatchingMods, indexModsById } from "./resolver.js";
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * @typedef {object} PriorityInversion
+ * @property {Mod} mod - The mod declaring the dependency
+ * @property {Mod} dependency - The enabled mod satisfying the dependency, with a higher priority
+ */
+
+/**
+ * @typedef {object} LoadOrder
+ * @property {Mod[]} order - The enabled mods in the order they are loaded
+ * @property {Mod[][]} cycles - Every dependency cycle, each as the mods along the cycle
+ * @property {PriorityInversion[]} priorityInversions - Every dependency on a mod with a higher priority
+ */
+
+/**
+ * Compares two mods by priority, lowest first, falling back to their path so the order is stable.
+ *
+ * @param {Mod} modA - The first mod
+ * @param {Mod} modB - The second mod
+ * @returns {number} The sort order of the two mods
+ * @example
+ * const sortedMods = enabledMods.toSorted(compareByPriority);
+ */
+const compareByPriority = (
+	{ path: pathA, priority: priorityA = 0 },
+	{ path: pathB, priority: priorityB = 0 }
+) => priorityA - priorityB || pathA.localeCompare(pathB);
+
+/**
+ * Computes the order in which Steamodded loads a set of enabled mods: by priority from lowest to highest,
+ * with every mod's dependencies and enabled optional dependencies loaded before the mod itself. Dependency cycles and dependencies on mods
+ * with a higher priority are reported, since they are where this order and the declared priorities disagree.
+ *
+ * @param {Mod[]} enabledMods - The mods to order, disabled mods are never loaded
+ * @returns {LoadOrder} The load order, dependency cycles and priority inversions
+ * @example
+ * const { cycles, order, priorityInversions } = computeLoadOrder(mods.filter(({ enabled }) => enabled));
+ */
+const computeLoadOrder = (enabledMods) => {
+	const enabledIndex = indexModsById(enabledMods);
+
+	/** @type {Mod[]} */
+	const order = [];
+
+	/** @type {Mod[][]} */
+	const cycles = [];
+
+	/** @type {PriorityInversion[]} */
+	const priorityInversions = [];
+
+	/** @type {Set<Mod>} */
+	const loadedMods = new Set();
+
+	/** @type {Mod[]} */
+	const loadingMods = [];
+
+	/**
+	 * Loads a mod after loading its dependencies, recording cycles and priority inversions on the way.
+	 *
+	 * @param {Mod} mod - The mod to place in the load order
+	 * @example
+	 * loadMod(enabledMods[0]);
+	 */
+	const loadMod = (mod) => {
+		if (loadedMods.has(mod)) {
+			return;
+		}
+
+		if (loadingMods.includes(mod)) {
+			cycles.push(loadingMods.slice(loadingMods.indexOf(mod)));
+
+			return;
+		}
+
+		loadingMods.push(mod);
+
+		// Optional dependencies are loaded first as well, as long as they are enabled
+		const providers = [...(mod.dependencies ?? []), ...(mod.optionalDependencies ?? [])]
+			.flatMap((group) => findMatchingMods(group, enabledIndex));
+		const dependencies = [...new Set(providers)]
+			.filter((dependency) => dependency !== mod)
+			.toSorted(compareByPriority);
+
+		for (const dependency of dependencies) {
+			if ((dependency.priority ?? 0) > (mod.priority ?? 0)) {
+				priorityInversions.push({
+					dependency,
+					mod
+				});
+			}
+
+			loadMod(dependency);
+		}
+
+		loadingMods.pop();
+		loadedMods.add(mod);
+		order.push(mod);
+	};
+
+	for (const mod of enabledMods.toSorted(compareByPriority)) {
+		loadMod(mod);
+	}
+
+	return {
+		cycles,
+		order,
+		priorityInversions
+	};
+};
+
+export default computeLoadOrder;
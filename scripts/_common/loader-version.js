@@ -0,0 +1,51 @@
+import { join } from "@std/path";
+
+const {
+	cwd,
+	errors: { NotFound },
+	readTextFile
+} = Deno;
+
+/**
+ * Location of the Steamodded checkout, relative to the working directory.
+ */
+const defaultLoaderDirectory = join(cwd(), "Mods", "smods");
+
+/**
+ * Suffix Steamodded appends to its version string and drops again before comparing versions.
+ */
+const VERSION_SUFFIX = "-STEAMODDED";
+
+/**
+ * Reads the installed Steamodded version from the `version.lua` file of its checkout,
+ * which returns a string like "1.0.0~BETA-0530b-STEAMODDED".
+ *
+ * @param {string} [loaderDirectory] - The Steamodded checkout, defaults to "Mods/smods" in the working directory
+ * @returns {Promise<string|null>} The version without the suffix, `null` if the file is missing or holds no version
+ * @example
+ * // Returns "1.0.0~BETA-0530b"
+ * await readLoaderVersion();
+ */
+const readLoaderVersion = async (loaderDirectory = defaultLoaderDirectory) => {
+	try {
+		const content = await readTextFile(join(loaderDirectory, "version.lua"));
+		const version = content.match(/return\s*["'](?<version>[^"']+)["']/v)?.groups?.version;
+
+		if (version === undefined) {
+			return null;
+		}
+
+		return version.endsWith(VERSION_SUFFIX)
+			? version.slice(0, -VERSION_SUFFIX.length)
+			: version;
+	}
+	catch (error) {
+		if (error instanceof NotFound) {
+			return null;
+		}
+
+		throw error;
+	}
+};
+
+export { defaultLoaderDirectory, readLoaderVersion };
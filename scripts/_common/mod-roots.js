@@ -0,0 +1,211 @@
+import {
+	dirname, join, relative, SEPARATOR
+} from "@std/path";
+
+import { group } from "@radashi-org/radashi";
+
+const { lstat } = Deno;
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * @typedef {object} SharedToggleDirectory
+ * @property {string} toggleDirectory - The directory whose `.lovelyignore` toggles all of the mods
+ * @property {Mod[]} mods - The mods inside it
+ */
+
+/**
+ * How many directories below the Mods folder Steamodded still looks for manifests and headers.
+ * Files in "Mods/A" and "Mods/A/B" are found, files in "Mods/A/B/C" are not.
+ */
+const MAX_MOD_FILE_DEPTH = 3;
+
+/**
+ * Checks whether a path exists, without following symlinks.
+ *
+ * @param {string} path - The path to check
+ * @returns {Promise<boolean>} Whether anything exists at the path
+ * @example
+ * const isRepository = await pathExists(join(directory, ".git"));
+ */
+const pathExists = async (path) => {
+	try {
+		await lstat(path);
+
+		return true;
+	}
+	catch {
+		return false;
+	}
+};
+
+/**
+ * Splits the location of a file into the directories between the Mods folder and the file.
+ *
+ * @param {string} root - The Mods folder
+ * @param {string} path - Location of a file inside it
+ * @returns {string[]} The directories from the top-level mod directory down to the one containing the file
+ * @example
+ * // Returns ["/Mods/Pack", "/Mods/Pack/ModA"]
+ * getModDirectories("/Mods", "/Mods/Pack/ModA/manifest.json");
+ */
+const getModDirectories = (root, path) => relative(root, dirname(path))
+	.split(SEPARATOR)
+	.filter((segment) => segment !== "" && segment !== ".")
+	.map((segment, index, segments) => join(root, ...segments.slice(0, index), segment));
+
+/**
+ * Checks whether Steamodded looks at a file at all. Files directly in the Mods folder and
+ * files more than two directories below it are never read as mods.
+ *
+ * @param {string} root - The Mods folder
+ * @param {string} path - Location of a file inside it
+ * @returns {boolean} Whether the file is at a depth where Steamodded looks for mods
+ * @example
+ * // Returns false
+ * isAtModFileDepth("/Mods", "/Mods/Pack/ModA/src/manifest.json");
+ */
+const isAtModFileDepth = (root, path) => {
+	const { length } = getModDirectories(root, path);
+
+	return length > 0 && length < MAX_MOD_FILE_DEPTH;
+};
+
+/**
+ * Finds the directory whose `.lovelyignore` disables a mod for both Lovely and Steamodded.
+ * Lovely only looks at the directories directly inside the Mods folder and Steamodded skips everything
+ * below a directory with a `.lovelyignore`, so that is the top-level directory containing the mod file.
+ *
+ * @param {string} root - The Mods folder
+ * @param {string} path - Location of the manifest or header file of the mod
+ * @returns {string} The toggle directory of the mod
+ * @example
+ * // Returns "/Mods/Pack"
+ * findToggleDirectory("/Mods", "/Mods/Pack/ModA/manifest.json");
+ */
+const findToggleDirectory = (root, path) => getModDirectories(root, path).at(0) ?? dirname(path);
+
+/**
+ * Lists every `.lovelyignore` that disables a mod, from its toggle directory down to the directory of its file.
+ *
+ * @param {string} root - The Mods folder
+ * @param {string} path - Location of the manifest or header file of the mod
+ * @returns {string[]} The `.lovelyignore` paths, any one of which disables the mod
+ * @example
+ * // Returns ["/Mods/Pack/.lovelyignore", "/Mods/Pack/ModA/.lovelyignore"]
+ * getLovelyIgnorePaths("/Mods", "/Mods/Pack/ModA/manifest.json");
+ */
+const getLovelyIgnorePaths = (root, path) => {
+	const directories = getModDirectories(root, path);
+
+	return (directories.length > 0 ? directories : [dirname(path)])
+		.map((directory) => join(directory, ".lovelyignore"));
+};
+
+/**
+ * Lists every `.lovelyignore` that disables an already loaded mod.
+ *
+ * @param {Mod} mod - The mod to check
+ * @returns {string[]} The `.lovelyignore` paths, the first one being the one in its toggle directory
+ * @example
+ * await writeTextFile(getModLovelyIgnorePaths(mod)[0], "");
+ */
+const getModLovelyIgnorePaths = ({ path, toggleDirectory }) => getLovelyIgnorePaths(
+	dirname(toggleDirectory),
+	path
+);
+
+/**
+ * Checks whether a mod is enabled, meaning none of the directories Steamodded passes on the way to its file
+ * contain a `.lovelyignore`.
+ *
+ * @param {string} root - The Mods folder
+ * @param {string} path - Location of the manifest or header file of the mod
+ * @returns {Promise<boolean>} Whether the mod is enabled
+ * @example
+ * const enabled = await isModEnabled(modsFolderPath, mod.path);
+ */
+const isModEnabled = async (root, path) => {
+	for (const lovelyIgnorePath of getLovelyIgnorePaths(root, path)) {
+		if (await pathExists(lovelyIgnorePath)) {
+			return false;
+		}
+	}
+
+	return true;
+};
+
+/**
+ * Finds every `.lovelyignore` that currently disables one of the mods.
+ *
+ * @param {Mod[]} modList - The mods to check
+ * @returns {Promise<string[]>} The existing `.lovelyignore` paths, each listed once
+ * @example
+ * // Remember which mods were disabled before changing anything
+ * const lovelyIgnorePaths = await findExistingLovelyIgnorePaths(mods);
+ */
+const findExistingLovelyIgnorePaths = async (modList) => {
+	const existingPaths = new Set();
+
+	for (const lovelyIgnorePath of modList.flatMap(getModLovelyIgnorePaths)) {
+		if (await pathExists(lovelyIgnorePath)) {
+			existingPaths.add(lovelyIgnorePath);
+		}
+	}
+
+	return [...existingPaths];
+};
+
+/**
+ * Finds the git repository a mod file belongs to, by looking for the nearest directory with a `.git`
+ * between the file and the Mods folder. Submodules have a `.git` file, standalone clones a `.git` directory.
+ *
+ * @param {string} root - The Mods folder
+ * @param {string} path - Location of the manifest or header file of the mod
+ * @returns {Promise<string|null>} The repository directory, `null` if the mod isn't inside one
+ * @example
+ * // Returns "/Mods/Pack" for a submodule checked out at Mods/Pack
+ * await findSubmoduleDirectory("/Mods", "/Mods/Pack/ModA/manifest.json");
+ */
+const findSubmoduleDirectory = async (root, path) => {
+	for (const directory of getModDirectories(root, path).toReversed()) {
+		if (await pathExists(join(directory, ".git"))) {
+			return directory;
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Finds toggle directories containing more than one mod, where enabling or disabling one of them
+ * toggles the others as well.
+ *
+ * @param {Mod[]} modList - The mods to check
+ * @returns {SharedToggleDirectory[]} Every toggle directory shared by several mods
+ * @example
+ * for (const { mods, toggleDirectory } of findSharedToggleDirectories(mods)) {
+ *   console.warn(`${toggleDirectory} toggles ${mods.length} mods at once`);
+ * }
+ */
+const findSharedToggleDirectories = (modList) => Object.entries(
+	group(modList, ({ toggleDirectory }) => toggleDirectory)
+)
+	.filter(([, modsInDirectory = []]) => modsInDirectory.length > 1)
+	.map(([toggleDirectory, modsInDirectory = []]) => ({
+		mods: modsInDirectory,
+		toggleDirectory
+	}));
+
+export {
+	findExistingLovelyIgnorePaths,
+	findSharedToggleDirectories,
+	findSubmoduleDirectory,
+	findToggleDirectory,
+	getModLovelyIgnorePaths,
+	isAtModFileDepth,
+	isModEnabled,
+	MAX_MOD_FILE_DEPTH
+};
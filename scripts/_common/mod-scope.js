@@ -0,0 +1,254 @@
+import { globToRegExp } from "@std/path";
+
+import { isModDisabled } from "./mod-toggles.js";
+import { findMatchingMods, indexModsById } from "./resolver.js";
+
+const { readTextFile } = Deno;
+
+/**
+ * @typedef {import("./bisection-session.js").BisectionSession} BisectionSession
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * Which mods a search covers. A mod has to match every criterion that is given,
+ * and a criterion with several values matches if any of them does.
+ *
+ * @typedef {object} ModScope
+ * @property {string[]} names - Globs matched against the mod name, ignoring case
+ * @property {string[]} authors - Globs matched against each author, ignoring case
+ * @property {string[]} dependsOn - Ids of which the mod has to declare at least one as a dependency
+ * @property {string[]|null} modNames - Names of the mods read from a list file, `null` if there is no list
+ */
+
+/**
+ * @typedef {object} HeldMods
+ * @property {string[]} fineMods - Names of the enabled mods outside the scope, which stay enabled
+ * @property {string[]} disabledMods - Names of the disabled mods outside the scope, which stay disabled
+ */
+
+/**
+ * @typedef {object} ScopeOptions
+ * @property {string[]} authors - Globs matched against the authors
+ * @property {string[]} dependsOn - Ids the mods have to declare as a dependency
+ * @property {string|undefined} filePath - Location of a file listing the mods, one name per line
+ * @property {string[]} names - Globs matched against the mod names
+ */
+
+/**
+ * Reads a list file with one mod name per line. Empty lines and lines starting with `#` are skipped.
+ *
+ * @param {string} path - Location of the list file
+ * @returns {Promise<string[]>} The names of the mods on the list
+ * @example
+ * const modNames = await readModListFile("content-mods.txt");
+ */
+const readModListFile = async (path) => {
+	const content = await readTextFile(path);
+
+	return content
+		.split("\n")
+		.map((line) => line.trim())
+		.filter((line) => line !== "" && !line.startsWith("#"));
+};
+
+/**
+ * Checks whether a scope has any criterion, a scope without one covers every mod.
+ *
+ * @param {ModScope} scope - The scope to check
+ * @returns {boolean} Whether the scope narrows the mods down
+ * @example
+ * // Returns false
+ * isScoped({ authors: [], dependsOn: [], modNames: null, names: [] });
+ */
+const isScoped = ({
+	authors, dependsOn, modNames, names
+}) => (
+	authors.length > 0 || dependsOn.length > 0 || modNames !== null || names.length > 0
+);
+
+/**
+ * Checks whether a value matches any of some globs, ignoring case.
+ *
+ * @param {string} value - The value to check
+ * @param {string[]} globs - The globs to match against
+ * @returns {boolean} Whether any glob matches
+ * @example
+ * // Returns true
+ * matchesAnyGlob("Betmma Vouchers", ["Betmma *"]);
+ */
+const matchesAnyGlob = (value, globs) => globs.some(
+	(glob) => globToRegExp(glob, { caseInsensitive: true }).test(value)
+);
+
+/**
+ * Checks whether a mod is covered by a scope.
+ *
+ * @param {Mod} mod - The mod to check
+ * @param {ModScope} scope - The scope to check against
+ * @returns {boolean} Whether the mod matches every criterion of the scope
+ * @example
+ * // Returns true for every mod depending on Talisman
+ * isInScope(mod, { authors: [], dependsOn: ["Talisman"], modNames: null, names: [] });
+ */
+const isInScope = (mod, {
+	authors, dependsOn, modNames, names
+}) => [
+	names.length === 0 || matchesAnyGlob(mod.name, names),
+	authors.length === 0 || mod.author.some((author) => matchesAnyGlob(author, authors)),
+	dependsOn.length === 0 || (mod.dependencies ?? []).some(
+		(dependency) => dependency.some(({ id }) => dependsOn.includes(id))
+	),
+	modNames === null || modNames.includes(mod.name)
+].every(Boolean);
+
+/**
+ * Picks the mods a scope covers.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {ModScope} scope - The scope to apply
+ * @returns {Mod[]} The mods matching every criterion of the scope, all mods if it has none
+ * @example
+ * const scopedMods = selectScopedMods(mods, {
+ *   authors: ["SDM_0"],
+ *   dependsOn: [],
+ *   modNames: null,
+ *   names: []
+ * });
+ */
+const selectScopedMods = (allMods, scope) => allMods.filter((mod) => isInScope(mod, scope));
+
+/**
+ * Works out which mods a search covers. A resumed session keeps the scope it was started with.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {BisectionSession|null} session - The session being resumed, `null` when starting a new one
+ * @param {ScopeOptions} options - The scope command line options
+ * @returns {Promise<string[]|null>} Names of the mods in scope, `null` if the search covers every mod
+ * @throws {Error} If the list file can't be read or no mod matches the scope
+ * @example
+ * // Only search the mods building on Talisman
+ * const scopeMods = await resolveScope(mods, null, {
+ *   authors: [],
+ *   dependsOn: ["Talisman"],
+ *   filePath: undefined,
+ *   names: []
+ * });
+ */
+const resolveScope = async (allMods, session, {
+	authors, dependsOn, filePath, names
+}) => {
+	const scope = {
+		authors,
+		dependsOn,
+		modNames: filePath === undefined ? null : await readModListFile(filePath),
+		names
+	};
+
+	if (session !== null) {
+		if (isScoped(scope)) {
+			console.warn("The resumed session keeps the scope it was started with, the scope options are ignored.");
+		}
+
+		return session.scopeMods ?? null;
+	}
+
+	if (!isScoped(scope)) {
+		return null;
+	}
+
+	const scopeMods = selectScopedMods(allMods, scope).map((mod) => mod.name);
+
+	if (scopeMods.length === 0) {
+		throw new Error("No mod matches the scope.");
+	}
+
+	return scopeMods;
+};
+
+/**
+ * Finds the mods in scope that need a mod the search never enables, so they can't load in any configuration.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {string[]} scopeMods - Names of the mods the search covers
+ * @param {string[]} disabledMods - Names of the mods that stay disabled during the search
+ * @returns {string[]} For each such dependency, which mod in scope needs which disabled mods
+ * @example
+ * // Returns ["Cryptid needs Talisman"] if Talisman is disabled outside the scope
+ * findStrandedMods(mods, ["Cryptid"], ["Talisman"]);
+ */
+const findStrandedMods = (allMods, scopeMods, disabledMods) => {
+	const index = indexModsById(allMods);
+
+	return allMods
+		.filter((mod) => scopeMods.includes(mod.name))
+		.flatMap((mod) => (mod.dependencies ?? [])
+			.map((dependency) => findMatchingMods(dependency, index))
+			.filter((providers) => (
+				providers.length > 0 &&
+				providers.every((provider) => disabledMods.includes(provider.name))
+			))
+			.map((providers) => `${mod.name} needs ${providers.map((provider) => provider.name).join(" or ")}`));
+};
+
+/**
+ * Keeps every mod outside the scope in the state it is in: enabled ones are to be treated like fine mods
+ * and disabled ones like always disabled mods, so the search never toggles them.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {string[]} scopeMods - Names of the mods the search covers
+ * @param {{alwaysDisabledMods: string[], alwaysFineMods: string[]}} lists - The mods already held by the pack config
+ * @returns {Promise<HeldMods>} The mods held outside the scope that the pack config doesn't hold already
+ * @throws {Error} If a mod in scope needs a mod that stays disabled, as it could never load
+ * @example
+ * const { disabledMods, fineMods } = await holdModsOutsideScope(mods, ["Cryptid", "Jen's Almanac"], {
+ *   alwaysDisabledMods: [],
+ *   alwaysFineMods: []
+ * });
+ */
+const holdModsOutsideScope = async (allMods, scopeMods, {
+	alwaysDisabledMods, alwaysFineMods
+}) => {
+	const heldMods = allMods.filter(
+		(mod) => !scopeMods.includes(mod.name) && !alwaysDisabledMods.includes(mod.name)
+	);
+
+	/** @type {HeldMods} */
+	const newlyHeldMods = {
+		disabledMods: [],
+		fineMods: []
+	};
+
+	for (const mod of heldMods) {
+		if (alwaysFineMods.includes(mod.name)) {
+			continue;
+		}
+
+		if (await isModDisabled(mod)) {
+			newlyHeldMods.disabledMods.push(mod.name);
+		}
+		else {
+			newlyHeldMods.fineMods.push(mod.name);
+		}
+	}
+
+	const strandedMods = findStrandedMods(
+		allMods,
+		scopeMods,
+		[...alwaysDisabledMods, ...newlyHeldMods.disabledMods]
+	);
+
+	if (strandedMods.length > 0) {
+		throw new Error(`Mods in scope need mods that stay disabled, add those to the scope or enable them: ${[...new Set(strandedMods)].join(", ")}`);
+	}
+
+	return newlyHeldMods;
+};
+
+export {
+	holdModsOutsideScope,
+	isScoped,
+	readModListFile,
+	resolveScope,
+	selectScopedMods
+};
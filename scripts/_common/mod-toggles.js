@@ -0,0 +1,118 @@
+import { exists } from "@std/fs";
+import { join } from "@std/path";
+
+import { getModLovelyIgnorePaths } from "./mod-roots.js";
+
+const {
+	errors: { NotFound },
+	remove,
+	writeTextFile
+} = Deno;
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * Disables mods by writing a `.lovelyignore` file.
+ * The file goes into the toggle directory of each mod, which disables every other mod inside it as well.
+ *
+ * @param {Mod[]} modList - The mods to disable
+ * @returns {Promise<void>} A promise that resolves when all files are written
+ * @example
+ * // Disable a list of mods by creating .lovelyignore files
+ * await writeLovelyIgnore(modsToDisable);
+ */
+const writeLovelyIgnore = async (modList) => {
+	for (const mod of modList) {
+		await writeTextFile(join(mod.toggleDirectory, ".lovelyignore"), "");
+	}
+};
+
+/**
+ * Enables mods by removing their `.lovelyignore` files, including any in the directories
+ * between the toggle directory and the mod file.
+ *
+ * @param {Mod[]} modList - The mods to enable
+ * @returns {Promise<void>} A promise that resolves when all files are removed
+ * @example
+ * // Enable a list of mods by removing their .lovelyignore files
+ * await removeLovelyIgnore(modsToEnable);
+ */
+const removeLovelyIgnore = async (modList) => {
+	for (const filePath of modList.flatMap(getModLovelyIgnorePaths)) {
+		try {
+			await remove(filePath);
+		}
+		catch (error) {
+			if (!(error instanceof NotFound)) {
+				console.error(`Error removing ${filePath}:`, error);
+			}
+		}
+	}
+};
+
+/**
+ * Checks whether a mod is currently disabled by looking for its `.lovelyignore` files.
+ *
+ * @param {Mod} mod - The mod to check
+ * @returns {Promise<boolean>} Whether the mod is disabled
+ * @example
+ * // Check if a specific mod is disabled
+ * const isDisabled = await isModDisabled(someMod);
+ * console.log(isDisabled ? "Mod is disabled" : "Mod is enabled");
+ */
+const isModDisabled = async (mod) => {
+	for (const ignorePath of getModLovelyIgnorePaths(mod)) {
+		if (await exists(ignorePath)) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Applies a mod configuration by updating `.lovelyignore` files.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {Set<string>} enabledMods - The names of the mods to enable, every other mod is disabled
+ * @returns {Promise<void>} A promise that resolves when the configuration is applied
+ * @example
+ * // Apply the current configuration to enable/disable mods
+ * await applyModConfiguration(allMods, enabledMods);
+ */
+const applyModConfiguration = async (allMods, enabledMods) => {
+	const modsToEnable = allMods.filter((mod) => enabledMods.has(mod.name));
+	const modsToDisable = allMods.filter((mod) => !enabledMods.has(mod.name));
+
+	await removeLovelyIgnore(modsToEnable);
+	await writeLovelyIgnore(modsToDisable);
+};
+
+/**
+ * Restores the mod state of a snapshot: every `.lovelyignore` file of the mods is removed
+ * and the ones in the snapshot are written again.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {string[]} lovelyIgnorePaths - The `.lovelyignore` files that existed when the snapshot was taken
+ * @returns {Promise<void>} A promise that resolves when the mod state is restored
+ * @example
+ * // Undo every toggle since the snapshot
+ * await restoreLovelyIgnorePaths(mods, await findExistingLovelyIgnorePaths(mods));
+ */
+const restoreLovelyIgnorePaths = async (allMods, lovelyIgnorePaths) => {
+	await removeLovelyIgnore(allMods);
+
+	for (const lovelyIgnorePath of lovelyIgnorePaths) {
+		await writeTextFile(lovelyIgnorePath, "");
+	}
+};
+
+export {
+	applyModConfiguration,
+	isModDisabled,
+	removeLovelyIgnore,
+	restoreLovelyIgnorePaths,
+	writeLovelyIgnore
+};
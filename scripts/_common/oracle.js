@@ -0,0 +1,163 @@
+const {
+	addSignalListener,
+	build,
+	Command,
+	kill,
+	pid,
+	removeSignalListener
+} = Deno;
+
+/**
+ * @typedef {import("./ddmin.js").TestOutcome} TestOutcome
+ */
+
+/**
+ * @typedef {object} OracleOptions
+ * @property {string} command - The executable deciding whether the game runs fine
+ * @property {string[]} [commandArguments] - Arguments passed to the executable
+ * @property {number} [timeout] - Seconds after which the oracle is stopped, no limit if missing
+ * @property {TestOutcome} [timeoutOutcome] - The outcome of a test the oracle didn't finish in time
+ */
+
+/**
+ * Exit code an oracle uses to say it can't tell whether the configuration fails, as with `git bisect run`.
+ */
+const SKIP_EXIT_CODE = 125;
+
+/**
+ * Converts the timeout to what `setTimeout` expects.
+ */
+const MILLISECONDS_PER_SECOND = 1_000;
+
+/**
+ * Name of the environment variable holding the names of the enabled mods as a JSON array.
+ */
+const ENABLED_MODS_VARIABLE = "BINARY_SEARCH_ENABLED_MODS";
+
+/**
+ * Whether the oracle runs in a process group of its own, so stopping it also stops the game it started.
+ * Windows has no process groups, there only the oracle itself is stopped.
+ */
+const usesProcessGroup = build.os !== "windows";
+
+/**
+ * Turns the exit code of an oracle into a test outcome: 0 passes, 125 can't tell and anything else fails.
+ *
+ * @param {number} code - The exit code of the oracle
+ * @returns {TestOutcome} The outcome of the test
+ * @example
+ * // Returns "unresolved"
+ * getOutcomeFromExitCode(125);
+ */
+const getOutcomeFromExitCode = (code) => {
+	if (code === 0) {
+		return "pass";
+	}
+
+	return code === SKIP_EXIT_CODE ? "unresolved" : "fail";
+};
+
+/**
+ * Stops a running oracle along with every process in its process group.
+ *
+ * @param {Deno.ChildProcess} oracleProcess - The running oracle
+ * @example
+ * stopOracle(oracleProcess);
+ */
+const stopOracle = (oracleProcess) => {
+	if (usesProcessGroup) {
+		kill(-oracleProcess.pid, "SIGTERM");
+	}
+	else {
+		oracleProcess.kill();
+	}
+};
+
+/**
+ * Starts the oracle command.
+ *
+ * @param {Set<string>} enabledMods - The names of the enabled mods
+ * @param {string} command - The executable deciding whether the game runs fine
+ * @param {string[]} commandArguments - Arguments passed to the executable
+ * @returns {Deno.ChildProcess} The running oracle
+ * @throws {Error} If the command doesn't exist or can't be executed
+ * @example
+ * const oracleProcess = spawnOracle(enabledMods, "./scripts/launch-and-check.sh", []);
+ */
+const spawnOracle = (enabledMods, command, commandArguments) => {
+	try {
+		return new Command(command, {
+			args: commandArguments,
+			detached: usesProcessGroup,
+			env: { [ENABLED_MODS_VARIABLE]: JSON.stringify([...enabledMods]) },
+			stdin: "null"
+		}).spawn();
+	}
+	catch (error) {
+		throw new Error(
+			`The oracle ${command} can't be run: ${error instanceof Error ? error.message : error}`,
+			{ cause: error }
+		);
+	}
+};
+
+/**
+ * Runs an external command to decide whether the game runs fine with a configuration that is already applied,
+ * for example a script launching the game and inspecting the Lovely log. The names of the enabled mods are passed
+ * in the `BINARY_SEARCH_ENABLED_MODS` environment variable. The oracle runs in a process group of its own,
+ * which is stopped as a whole if it takes too long or the search is interrupted, so a game it started doesn't keep
+ * running.
+ *
+ * @param {Set<string>} enabledMods - The names of the enabled mods
+ * @param {OracleOptions} options - The command to run and how long to wait for it
+ * @returns {Promise<TestOutcome>} The outcome of the test
+ * @throws {Error} If the command doesn't exist or can't be executed
+ * @example
+ * const outcome = await runOracle(enabledMods, {
+ *   command: "./scripts/launch-and-check.sh",
+ *   timeout: 300
+ * });
+ */
+const runOracle = async (enabledMods, {
+	command,
+	commandArguments = [],
+	timeout,
+	timeoutOutcome = "unresolved"
+}) => {
+	const oracleProcess = spawnOracle(enabledMods, command, commandArguments);
+
+	let timedOut = false;
+
+	const timer = timeout === undefined
+		? undefined
+		: setTimeout(() => {
+			timedOut = true;
+			stopOracle(oracleProcess);
+		}, timeout * MILLISECONDS_PER_SECOND);
+
+	/**
+	 * Stops the oracle before quitting on an interrupt, which its process group doesn't get from the terminal.
+	 */
+	const interrupt = () => {
+		stopOracle(oracleProcess);
+		removeSignalListener("SIGINT", interrupt);
+		kill(pid, "SIGINT");
+	};
+
+	addSignalListener("SIGINT", interrupt);
+
+	const { code } = await oracleProcess.status;
+
+	clearTimeout(timer);
+	removeSignalListener("SIGINT", interrupt);
+
+	if (timedOut) {
+		console.warn(`The oracle didn't finish within ${timeout} seconds.`);
+
+		return timeoutOutcome;
+	}
+
+	return getOutcomeFromExitCode(code);
+};
+
+export default runOracle;
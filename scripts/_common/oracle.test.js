@@ -0,0 +1,62 @@
+import { assertEquals, assertRejects } from "@std/assert";
+
+import runOracle from "./oracle.js";
+
+const { test } = Deno;
+
+/**
+ * @typedef {import("./ddmin.js").TestOutcome} TestOutcome
+ * @typedef {import("./oracle.js").OracleOptions} OracleOptions
+ */
+
+/**
+ * Runs a shell snippet as the oracle.
+ *
+ * @param {string} script - The shell snippet deciding the outcome
+ * @param {Omit<OracleOptions, "command"|"commandArguments">} [options] - How long to wait for the oracle
+ * and what a timeout means
+ * @returns {Promise<TestOutcome>} The outcome of the test
+ * @example
+ * const outcome = await runShellOracle("exit 0");
+ */
+const runShellOracle = (script, options = {}) => runOracle(new Set(["Talisman"]), {
+	command: "sh",
+	commandArguments: ["-c", script],
+	...options
+});
+
+test("runOracle passes when the oracle exits with 0", async () => {
+	assertEquals(await runShellOracle("exit 0"), "pass");
+});
+
+test("runOracle can't tell when the oracle exits with 125", async () => {
+	assertEquals(await runShellOracle("exit 125"), "unresolved");
+});
+
+test("runOracle fails when the oracle exits with any other code", async () => {
+	assertEquals(await runShellOracle("exit 1"), "fail");
+	assertEquals(await runShellOracle("exit 124"), "fail");
+});
+
+test("runOracle passes the enabled mods to the oracle", async () => {
+	assertEquals(
+		await runShellOracle("test \"$BINARY_SEARCH_ENABLED_MODS\" = '[\"Talisman\"]'"),
+		"pass"
+	);
+});
+
+test("runOracle uses the timeout outcome when the oracle takes too long", async () => {
+	assertEquals(await runShellOracle("sleep 10", { timeout: 0.2 }), "unresolved");
+	assertEquals(await runShellOracle("sleep 10", {
+		timeout: 0.2,
+		timeoutOutcome: "fail"
+	}), "fail");
+});
+
+test("runOracle names the oracle that can't be run", async () => {
+	await assertRejects(
+		() => runOracle(new Set(), { command: "./missing-oracle.sh" }),
+		Error,
+		"The oracle ./missing-oracle.sh can't be run"
+	);
+});
@@ -0,0 +1,243 @@
+import { join } from "@std/path";
+
+import * as v from "@valibot/valibot";
+
+import getHeadCommit from "./git.js";
+
+const {
+	cwd,
+	errors: { NotFound },
+	readTextFile,
+	writeTextFile
+} = Deno;
+
+/**
+ * @typedef {object} PackListEntry
+ * @property {string} name - The name of the mod
+ * @property {string} reason - Why the mod is on the list, empty if it isn't known
+ * @property {string} [date] - When the mod was put on the list, as an ISO 8601 date, missing if it isn't known
+ * @property {string} [commit] - The commit of the pack the reason applies to
+ */
+
+/**
+ * @typedef {object} PackConfig
+ * @property {number} version - The version of the config format
+ * @property {Record<string, PackListEntry[]>} lists - Named lists of mods, for example the ones to always disable
+ */
+
+/**
+ * @typedef {object} PackListNames
+ * @property {string[]} disabledListNames - The lists of mods to always disable, the "disabled" list if empty
+ * @property {string[]} fineListNames - The lists of mods to consider fine besides the saved ones
+ * @property {string} saveListName - The list the mods confirmed to be fine are loaded from and saved to
+ */
+
+/**
+ * @typedef {object} PackLists
+ * @property {string[]} alwaysFineMods - Names of the mods that are always considered fine and never tested
+ * @property {string[]} alwaysDisabledMods - Names of the mods that are always disabled
+ * @property {string[]} otherFineMods - Names of the fine mods that don't come from the list the search saves to
+ */
+
+/**
+ * The version of the config format this script reads and writes.
+ */
+const PACK_CONFIG_VERSION = 1;
+
+/**
+ * Default location of the pack config, relative to the working directory.
+ */
+const defaultPackConfigPath = join(cwd(), "pack-config.json");
+
+const nonEmptyStringSchema = v.pipe(
+	v.string(),
+	v.nonEmpty()
+);
+
+const packListEntrySchema = v.strictObject({
+	commit: v.exactOptional(nonEmptyStringSchema),
+	date: v.exactOptional(v.pipe(
+		v.string(),
+		v.isoDate()
+	)),
+	name: nonEmptyStringSchema,
+	reason: v.string()
+});
+
+const packConfigSchema = v.strictObject({
+	lists: v.record(nonEmptyStringSchema, v.array(packListEntrySchema)),
+	version: v.literal(
+		PACK_CONFIG_VERSION,
+		(issue) => `Unsupported pack config version ${issue.input}, expected ${PACK_CONFIG_VERSION}`
+	)
+});
+
+/**
+ * The list of mods to always disable when no list is picked.
+ */
+const DEFAULT_DISABLED_LIST = "disabled";
+
+/**
+ * Reads the pack config, an empty one if the file doesn't exist.
+ *
+ * @param {string} path - Location of the pack config
+ * @returns {Promise<PackConfig>} The validated pack config
+ * @throws {v.ValiError} If the pack config doesn't match the format
+ * @example
+ * const { lists } = await readPackConfig(defaultPackConfigPath);
+ */
+const readPackConfig = async (path) => {
+	try {
+		const content = await readTextFile(path);
+
+		return v.parse(packConfigSchema, JSON.parse(content));
+	}
+	catch (error) {
+		if (error instanceof NotFound) {
+			return {
+				lists: {},
+				version: PACK_CONFIG_VERSION
+			};
+		}
+
+		throw error;
+	}
+};
+
+/**
+ * Collects the names of the mods on some lists of the pack config.
+ *
+ * @param {PackConfig} config - The pack config
+ * @param {string[]} listNames - The names of the lists
+ * @returns {string[]} The names of the mods on any of the lists, each once
+ * @throws {Error} If the pack config has no list with one of the names
+ * @example
+ * // Returns the names of every mod on the "fine" and "fine-non-content" lists
+ * getListedModNames(config, ["fine", "fine-non-content"]);
+ */
+const getListedModNames = ({ lists }, listNames) => {
+	for (const listName of listNames) {
+		if (!Object.hasOwn(lists, listName)) {
+			throw new Error(`The pack config has no list "${listName}", the lists are: ${Object.keys(lists).join(", ") || "None"}`);
+		}
+	}
+
+	return [...new Set(listNames.flatMap((listName) => lists[listName].map(({ name }) => name)))];
+};
+
+/**
+ * Reads the mods a search always considers fine or always disables from the picked lists of the pack config.
+ * The saved list is optional, as the search creates it once a mod is confirmed to be fine.
+ *
+ * @param {string} path - Location of the pack config
+ * @param {PackListNames} listNames - Which lists to read
+ * @returns {Promise<PackLists>} The mods on the lists
+ * @throws {Error} If the pack config can't be read or has no list with one of the picked names
+ * @example
+ * // Also treat the mods without content as fine
+ * const { alwaysDisabledMods, alwaysFineMods } = await readPackLists(defaultPackConfigPath, {
+ *   disabledListNames: [],
+ *   fineListNames: ["fine-non-content"],
+ *   saveListName: "fine"
+ * });
+ */
+const readPackLists = async (path, {
+	disabledListNames, fineListNames, saveListName
+}) => {
+	const config = await readPackConfig(path);
+	const listNames = Object.keys(config.lists);
+	const savedFineMods = listNames.includes(saveListName)
+		? getListedModNames(config, [saveListName])
+		: [];
+	const otherFineMods = getListedModNames(config, fineListNames)
+		.filter((modName) => !savedFineMods.includes(modName));
+
+	return {
+		alwaysDisabledMods: getListedModNames(
+			config,
+			disabledListNames.length > 0
+				? disabledListNames
+				: [DEFAULT_DISABLED_LIST].filter((listName) => listNames.includes(listName))
+		),
+		alwaysFineMods: [...savedFineMods, ...otherFineMods],
+		otherFineMods
+	};
+};
+
+/**
+ * Replaces the mods on a list of the pack config, creating the list if it doesn't exist.
+ * Mods that were already on the list keep their entry, new ones are dated today
+ * and tied to the commit the pack is at.
+ *
+ * @param {string} path - Location of the pack config
+ * @param {string} listName - Which list to replace
+ * @param {string[]} modNames - The names of the mods the list should hold
+ * @param {string} reason - Why the new mods are put on the list
+ * @returns {Promise<void>}
+ * @example
+ * await writeListedMods(defaultPackConfigPath, "fine", [...fineMods], "Ran fine in a binary search");
+ */
+const writeListedMods = async (path, listName, modNames, reason) => {
+	try {
+		const config = await readPackConfig(path);
+		const previousEntries = config.lists[listName] ?? [];
+		const commit = await getHeadCommit();
+		const date = Temporal.Now.plainDateISO().toString();
+
+		const entries = [...new Set(modNames)].map((name) => (
+			previousEntries.find((entry) => entry.name === name) ?? {
+				...(commit === null ? {} : { commit }),
+				date,
+				name,
+				reason
+			}
+		));
+
+		await writeTextFile(
+			path,
+			`${JSON.stringify({
+				...config,
+				lists: {
+					...config.lists,
+					[listName]: entries
+				}
+			}, null, "\t")}\n`
+		);
+	}
+	catch (error) {
+		console.error(`Error saving the "${listName}" list:`, error);
+	}
+};
+
+/**
+ * The latest queued save of a list.
+ *
+ * @type {Promise<void>}
+ */
+let pendingSave = Promise.resolve();
+
+/**
+ * Queues replacing the mods on a list of the pack config, so saves that overlap
+ * don't read a pack config that is only partly written.
+ *
+ * @param {string} path - Location of the pack config
+ * @param {string} listName - Which list to replace
+ * @param {string[]} modNames - The names of the mods the list should hold
+ * @param {string} reason - Why the new mods are put on the list
+ * @returns {Promise<void>} A promise that resolves when this and every earlier save are done
+ * @example
+ * await saveListedMods(defaultPackConfigPath, "fine", [...fineMods], "Ran fine in a binary search");
+ */
+const saveListedMods = (path, listName, modNames, reason) => {
+	pendingSave = pendingSave.then(() => writeListedMods(path, listName, modNames, reason));
+
+	return pendingSave;
+};
+
+export {
+	defaultPackConfigPath,
+	getListedModNames,
+	readPackConfig,
+	readPackLists,
+	saveListedMods
+};
@@ -0,0 +1,251 @@
+import { group } from "@radashi-org/radashi";
+
+import { formatDependency } from "./dependencies.js";
+import resolveMods from "./resolver.js";
+import { satisfiesConstraints } from "./versions.js";
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ * @typedef {import("./dependencies.js").DependencyGroup} DependencyGroup
+ */
+
+/**
+ * @typedef {"conflict"|"dependency-refused"|"duplicate-id"|"loader-version"|"missing-dependency"|"version-mismatch"} RefusalReason
+ */
+
+/**
+ * @typedef {object} RefusedMod
+ * @property {Mod} mod - The enabled mod Steamodded won't load
+ * @property {RefusalReason} reason - Why it won't be loaded
+ * @property {string} message - A description of the reason for display
+ */
+
+/**
+ * @typedef {object} PreflightResult
+ * @property {Mod[]} loadedMods - The enabled mods Steamodded is expected to load
+ * @property {RefusedMod[]} refusedMods - The enabled mods it is expected to refuse, in the order they drop out
+ */
+
+/**
+ * @typedef {object} PreflightOptions
+ * @property {Mod[]} [enabledMods] - The mods to check, defaults to those with `enabled` set
+ * @property {string|null} [loaderVersion] - The installed Steamodded version, as read by `readLoaderVersion`.
+ * Steamodded version bounds aren't checked if it is `null` or missing
+ */
+
+/**
+ * ID under which mods declare the Steamodded version they need.
+ */
+const LOADER_ID = "Steamodded";
+
+/**
+ * Finds the mods sharing an ID with a mod that Steamodded reaches first. Only the first one, by path, is loaded.
+ *
+ * @param {Mod[]} enabledMods - The mods to check
+ * @returns {RefusedMod[]} Every mod but the first one for each duplicate ID
+ * @example
+ * const duplicates = findDuplicateIdRefusals(enabledMods);
+ */
+const findDuplicateIdRefusals = (enabledMods) => Object.values(group(enabledMods, ({ id }) => id))
+	.flatMap((modsWithId = []) => {
+		const [loadedMod, ...duplicateMods] = modsWithId
+			.toSorted(({ path: pathA }, { path: pathB }) => pathA.localeCompare(pathB));
+
+		return duplicateMods.map((mod) => ({
+			message: `Duplicate ID "${mod.id}", ${loadedMod.name} is loaded instead`,
+			mod,
+			reason: /** @type {const} */ ("duplicate-id")
+		}));
+	});
+
+/**
+ * Checks whether a dependency group names the loader and none of the versions it accepts is installed.
+ *
+ * @param {DependencyGroup} dependency - The dependency to check
+ * @param {string} loaderVersion - The installed Steamodded version
+ * @returns {boolean} Whether the dependency requires another Steamodded version
+ * @example
+ * // Returns true
+ * needsOtherLoaderVersion(parseDependency("Steamodded (>=1.0.0~BETA-0404a)"), "1.0.0~ALPHA-1304a");
+ */
+const needsOtherLoaderVersion = (dependency, loaderVersion) => (
+	dependency.every(({ id }) => id === LOADER_ID) &&
+	!dependency.some(({ constraints }) => satisfiesConstraints(loaderVersion, constraints))
+);
+
+/**
+ * Finds the mods whose Steamodded version bounds the installed version doesn't meet.
+ *
+ * @param {Mod[]} enabledMods - The mods to check
+ * @param {string|null} loaderVersion - The installed Steamodded version, nothing is refused if it is unknown
+ * @returns {RefusedMod[]} The mods needing another Steamodded version
+ * @example
+ * const loaderRefusals = findLoaderVersionRefusals(enabledMods, "1.0.0~BETA-0404a");
+ */
+const findLoaderVersionRefusals = (enabledMods, loaderVersion) => {
+	if (loaderVersion === null) {
+		return [];
+	}
+
+	return enabledMods.flatMap((mod) => {
+		const dependency = (mod.dependencies ?? [])
+			.find((modDependency) => needsOtherLoaderVersion(modDependency, loaderVersion));
+
+		if (dependency === undefined) {
+			return [];
+		}
+
+		return [
+			{
+				message: `Needs ${formatDependency(dependency)}, ${LOADER_ID} ${loaderVersion} is installed`,
+				mod,
+				reason: /** @type {const} */ ("loader-version")
+			}
+		];
+	});
+};
+
+/**
+ * Formats mods with their versions for display.
+ *
+ * @param {Mod[]} modList - The mods to format
+ * @returns {string} The names and versions of the mods
+ * @example
+ * // Returns "Talisman 2.0.5, Cryptid no version"
+ * formatModVersions([talisman, cryptid]);
+ */
+const formatModVersions = (modList) => modList
+	.map(({ name, version = "no version" }) => `${name} ${version}`)
+	.join(", ");
+
+/**
+ * Finds the mods that the resolver reports as missing a dependency or having an active conflict.
+ * Dependencies on mods that were refused in an earlier round are reported as such.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {Mod[]} remainingMods - The enabled mods that haven't been refused yet
+ * @param {RefusedMod[]} refusedMods - The mods refused in earlier rounds
+ * @returns {RefusedMod[]} The mods refused in this round
+ * @example
+ * const refusals = findResolverRefusals(allMods, remainingMods, refusedMods);
+ */
+const findResolverRefusals = (allMods, remainingMods, refusedMods) => {
+	const { activeConflicts, missingDependencies } = resolveMods(allMods, remainingMods);
+	const refusedIds = new Set(
+		refusedMods.flatMap(({ mod }) => [mod.id, ...(mod.provides ?? []).map(({ id }) => id)])
+	);
+
+	/** @type {RefusedMod[]} */
+	const refusals = [];
+
+	for (
+		const {
+			dependency, mismatchedMods, mod
+		} of missingDependencies
+	) {
+		if (dependency.some(({ id }) => refusedIds.has(id))) {
+			refusals.push({
+				message: `Depends on ${formatDependency(dependency)}, which isn't loaded either`,
+				mod,
+				reason: "dependency-refused"
+			});
+		}
+		else if (mismatchedMods.length > 0) {
+			refusals.push({
+				message: `Needs ${formatDependency(dependency)}, found ${formatModVersions(mismatchedMods)}`,
+				mod,
+				reason: "version-mismatch"
+			});
+		}
+		else {
+			refusals.push({
+				message: `Missing dependency ${formatDependency(dependency)}`,
+				mod,
+				reason: "missing-dependency"
+			});
+		}
+	}
+
+	for (const { conflictingMod, mod } of activeConflicts) {
+		refusals.push({
+			message: `Conflicts with ${conflictingMod.name}`,
+			mod,
+			reason: "conflict"
+		});
+	}
+
+	return refusals;
+};
+
+/**
+ * Predicts which enabled mods Steamodded will refuse to load: duplicate IDs, unmet Steamodded version bounds,
+ * missing dependencies, dependencies with the wrong version and active conflicts. Mods depending on refused mods
+ * are refused as well, until no more mods drop out.
+ * Only the first reason found is reported for each mod.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {PreflightOptions} [options] - The mods to check and the installed Steamodded version
+ * @returns {PreflightResult} The mods expected to load and the ones expected to be refused
+ * @example
+ * const { refusedMods } = preflight(mods, { loaderVersion: await readLoaderVersion() });
+ *
+ * for (const { message, mod } of refusedMods) {
+ *   console.info(`${mod.name}: ${message}`);
+ * }
+ */
+const preflight = (allMods, {
+	enabledMods = allMods.filter(({ enabled }) => enabled),
+	loaderVersion = null
+} = {}) => {
+	/** @type {RefusedMod[]} */
+	const refusedMods = [];
+
+	/**
+	 * Checks whether a mod has already been refused for any reason.
+	 *
+	 * @param {Mod} mod - The mod to check
+	 * @returns {boolean} Whether the mod is refused
+	 * @example
+	 * const remainingMods = enabledMods.filter((mod) => !isRefused(mod));
+	 */
+	const isRefused = (mod) => refusedMods.some((refusal) => refusal.mod === mod);
+
+	/**
+	 * Adds refusals for mods that haven't been refused yet.
+	 *
+	 * @param {RefusedMod[]} refusals - The refusals to add
+	 * @returns {number} How many mods were newly refused
+	 * @example
+	 * const newlyRefusedCount = refuse(findDuplicateIdRefusals(enabledMods));
+	 */
+	const refuse = (refusals) => {
+		const countBefore = refusedMods.length;
+
+		for (const refusal of refusals) {
+			if (!isRefused(refusal.mod)) {
+				refusedMods.push(refusal);
+			}
+		}
+
+		return refusedMods.length - countBefore;
+	};
+
+	refuse(findDuplicateIdRefusals(enabledMods));
+	refuse(findLoaderVersionRefusals(enabledMods, loaderVersion));
+
+	let newlyRefusedCount = 0;
+
+	// Every refused mod can take its dependents down with it, so repeat until nothing changes
+	do {
+		const remainingMods = enabledMods.filter((mod) => !isRefused(mod));
+
+		newlyRefusedCount = refuse(findResolverRefusals(allMods, remainingMods, refusedMods));
+	} while (newlyRefusedCount > 0);
+
+	return {
+		loadedMods: enabledMods.filter((mod) => !isRefused(mod)),
+		refusedMods
+	};
+};
+
+export default preflight;
@@ -0,0 +1,157 @@
+import {
+	join, relative, resolve, SEPARATOR
+} from "@std/path";
+
+const { cwd, readDir } = Deno;
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * @typedef {object} Submodule
+ * @property {string} name - The name of the submodule in `.gitmodules`
+ * @property {string} path - The path of the submodule, relative to the repository root
+ * @property {string} url - The URL the submodule is cloned from
+ * @property {string} [branch] - The branch the submodule tracks
+ */
+
+/**
+ * @typedef {object} RegisteredSubmodule
+ * @property {Submodule} submodule - The `.gitmodules` entry
+ * @property {string} directory - The absolute path of the submodule
+ * @property {Mod[]} mods - The mods inside the submodule, empty if it has no parsable manifest
+ */
+
+/**
+ * @typedef {object} RegisteredMod
+ * @property {Mod} mod - The parsed mod
+ * @property {RegisteredSubmodule|null} submodule - The submodule containing the mod, `null` if there is none
+ */
+
+/**
+ * @typedef {object} RegistryOrphans
+ * @property {string[]} untrackedDirectories - Directories in the Mods folder that aren't submodules and contain none
+ * @property {RegisteredSubmodule[]} submodulesWithoutMods - Submodules inside the Mods folder without any parsable manifest
+ * @property {Mod[]} modsOutsideSubmodules - Mods that aren't inside any submodule
+ */
+
+/**
+ * @typedef {object} Registry
+ * @property {RegisteredSubmodule[]} submodules - Every submodule with the mods it contains
+ * @property {RegisteredMod[]} mods - Every mod with the submodule containing it
+ * @property {RegistryOrphans} orphans - Everything that is only known to one side
+ */
+
+/**
+ * @typedef {object} RegistryOptions
+ * @property {Mod[]} mods - The mods, as returned by `loadMods`
+ * @property {Submodule[]} submodules - The submodules, as read from `.gitmodules`
+ * @property {string} [root] - The Mods folder, defaults to "Mods" in the repository root
+ * @property {string} [repositoryRoot] - The directory containing `.gitmodules`, defaults to the working directory
+ */
+
+/**
+ * Checks whether a path is the same as or inside a directory.
+ *
+ * @param {string} path - The absolute path to check
+ * @param {string} directory - The absolute path of the directory
+ * @returns {boolean} Whether the path is inside the directory
+ * @example
+ * // Returns true
+ * isInside("/pack/Mods/Talisman/manifest.json", "/pack/Mods/Talisman");
+ */
+const isInside = (path, directory) => path === directory || path.startsWith(`${directory}${SEPARATOR}`);
+
+/**
+ * Lists the directories directly inside the Mods folder.
+ *
+ * @param {string} root - The Mods folder
+ * @returns {Promise<string[]>} The absolute paths of the directories
+ * @example
+ * const modDirectories = await listTopLevelDirectories(join(cwd(), "Mods"));
+ */
+const listTopLevelDirectories = async (root) => {
+	/** @type {string[]} */
+	const directories = [];
+
+	for await (const { isDirectory, name } of readDir(root)) {
+		if (isDirectory) {
+			directories.push(join(root, name));
+		}
+	}
+
+	return directories.toSorted();
+};
+
+/**
+ * Joins the submodules from `.gitmodules` with the mods parsed from their manifests. Each mod belongs to the
+ * innermost submodule containing its manifest, so a submodule can contain no mod, one mod or several.
+ *
+ * @param {RegistryOptions} options - The mods, submodules and the folders they are relative to
+ * @returns {Promise<Registry>} The submodules with their mods, the mods with their submodule and the orphans
+ * @example
+ * const { orphans, submodules: registeredSubmodules } = await createRegistry({ mods, submodules });
+ *
+ * for (const { mods: submoduleMods, submodule } of registeredSubmodules) {
+ *   console.info(`${submodule.path}: ${submoduleMods.map(({ name }) => name).join(", ")}`);
+ * }
+ */
+const createRegistry = async ({
+	mods,
+	repositoryRoot = cwd(),
+	root = join(repositoryRoot, "Mods"),
+	submodules
+}) => {
+	const modsFolderPath = resolve(root);
+
+	/** @type {RegisteredSubmodule[]} */
+	const registeredSubmodules = submodules.map((submodule) => ({
+		directory: resolve(repositoryRoot, submodule.path),
+		mods: [],
+		submodule
+	}));
+
+	// Longest paths first, so nested submodules win over the ones containing them
+	const submodulesByDepth = registeredSubmodules.toSorted(
+		({ directory: first }, { directory: second }) => second.length - first.length
+	);
+
+	const registeredMods = mods.map((mod) => {
+		const submodule = submodulesByDepth
+			.find(({ directory }) => isInside(resolve(mod.path), directory)) ?? null;
+
+		submodule?.mods.push(mod);
+
+		return {
+			mod,
+			submodule
+		};
+	});
+
+	const modDirectories = await listTopLevelDirectories(modsFolderPath);
+
+	const untrackedDirectories = modDirectories
+		.filter((modDirectory) => !registeredSubmodules.some(({ directory }) => (
+			isInside(directory, modDirectory) || isInside(modDirectory, directory)
+		)))
+		.map((modDirectory) => relative(repositoryRoot, modDirectory));
+
+	return {
+		mods: registeredMods,
+		orphans: {
+			modsOutsideSubmodules: registeredMods
+				.filter(({ submodule }) => submodule === null)
+				.map(({ mod }) => mod),
+			submodulesWithoutMods: registeredSubmodules.filter(
+				({ directory, mods: submoduleMods }) => (
+					isInside(directory, modsFolderPath) && submoduleMods.length === 0
+				)
+			),
+			untrackedDirectories
+		},
+		submodules: registeredSubmodules
+	};
+};
+
+export default createRegistry;
@@ -0,0 +1,202 @@
+import { satisfiesConstraints } from "./versions.js";
+
+/**
+ * @typedef {import("./load-mods.js").Mod} Mod
+ * @typedef {import("./dependencies.js").DependencyGroup} DependencyGroup
+ * @typedef {import("./dependencies.js").DependencyInfo} DependencyInfo
+ */
+
+/**
+ * @typedef {object} MissingDependency
+ * @property {Mod} mod - The enabled mod declaring the dependency
+ * @property {DependencyGroup} dependency - The dependency as declared in the manifest
+ * @property {Mod[]} candidates - Installed but disabled mods that could satisfy the dependency
+ * @property {Mod[]} mismatchedMods - Enabled mods with a matching ID but a version outside the required range
+ */
+
+/**
+ * @typedef {object} ActiveConflict
+ * @property {Mod} mod - The enabled mod declaring the conflict
+ * @property {DependencyInfo} conflict - The conflict as declared in the manifest
+ * @property {Mod} conflictingMod - The enabled mod matching the conflict entry, including its version range
+ */
+
+/**
+ * @typedef {object} StandIn
+ * @property {string} id - The ID that is stood in for
+ * @property {Mod} mod - The enabled mod providing the ID
+ */
+
+/**
+ * @typedef {object} Resolution
+ * @property {MissingDependency[]} missingDependencies - Every dependency no enabled mod satisfies
+ * @property {ActiveConflict[]} activeConflicts - Every conflict entry matched by an enabled mod
+ * @property {StandIn[]} standIns - Every `provides` entry that is used instead of a mod with that ID
+ */
+
+/**
+ * IDs that are provided by the game and the loader themselves and are therefore always present.
+ */
+const builtinIds = new Set([
+	"Balatro",
+	"Lovely",
+	"Steamodded"
+]);
+
+/**
+ * Checks whether a mod answers to a dependency or conflict alternative, by ID or `provides`,
+ * and meets its version constraints. Provided IDs without a version use the mod's own version.
+ *
+ * @param {Mod} mod - The mod to check
+ * @param {DependencyInfo} alternative - The dependency or conflict alternative
+ * @returns {boolean} Whether the mod matches the alternative
+ * @example
+ * // Returns false if Talisman 2.0.5 is installed
+ * matchesAlternative(talisman, { id: "Talisman", constraints: [{ operator: ">=", version: "2.1" }] });
+ */
+const matchesAlternative = (mod, { id, constraints }) => {
+	if (mod.id === id) {
+		return satisfiesConstraints(mod.version, constraints);
+	}
+
+	const providedId = (mod.provides ?? []).find((provided) => provided.id === id);
+
+	if (providedId === undefined) {
+		return false;
+	}
+
+	return satisfiesConstraints(providedId.version ?? mod.version, constraints);
+};
+
+/**
+ * Finds the mods in an index that match any alternative of a dependency group.
+ *
+ * @param {DependencyGroup} group - The alternatives to match
+ * @param {Map<string, Mod[]>} index - Lookup of mods by the IDs they answer to
+ * @returns {Mod[]} Every mod satisfying at least one alternative
+ * @example
+ * const providers = findMatchingMods(dependency, enabledIndex);
+ */
+const findMatchingMods = (group, index) => [
+	...new Set(
+		group.flatMap((alternative) => (index.get(alternative.id) ?? [])
+			.filter((mod) => matchesAlternative(mod, alternative)))
+	)
+];
+
+/**
+ * Indexes mods by their own ID and by every ID they provide.
+ *
+ * @param {Iterable<Mod>} modList - The mods to index
+ * @returns {Map<string, Mod[]>} The mods answering to each ID
+ * @example
+ * const index = indexModsById(mods);
+ * const talismanMods = index.get("Talisman") ?? [];
+ */
+const indexModsById = (modList) => {
+	/** @type {Map<string, Mod[]>} */
+	const index = new Map();
+
+	for (const mod of modList) {
+		const ids = new Set([mod.id, ...(mod.provides ?? []).map((provided) => provided.id)]);
+
+		for (const id of ids) {
+			index.set(id, [...(index.get(id) ?? []), mod]);
+		}
+	}
+
+	return index;
+};
+
+/**
+ * Finds the dependencies of a mod that no enabled mod satisfies.
+ *
+ * @param {Mod} mod - The enabled mod to check
+ * @param {Map<string, Mod[]>} enabledIndex - Enabled mods indexed by ID
+ * @param {Map<string, Mod[]>} disabledIndex - Installed but disabled mods indexed by ID
+ * @returns {MissingDependency[]} The unsatisfied dependencies of the mod
+ * @example
+ * const missingDependencies = findMissingDependencies(mod, enabledIndex, disabledIndex);
+ */
+const findMissingDependencies = (mod, enabledIndex, disabledIndex) => (mod.dependencies ?? [])
+	.filter((dependency) => (
+		!dependency.some(({ id }) => builtinIds.has(id)) &&
+		findMatchingMods(dependency, enabledIndex).length === 0
+	))
+	.map((dependency) => ({
+		candidates: findMatchingMods(dependency, disabledIndex),
+		dependency,
+		mismatchedMods: [...new Set(dependency.flatMap(({ id }) => enabledIndex.get(id) ?? []))],
+		mod
+	}));
+
+/**
+ * Finds the enabled mods matching the conflict entries of a mod.
+ *
+ * @param {Mod} mod - The enabled mod to check
+ * @param {Map<string, Mod[]>} enabledIndex - Enabled mods indexed by ID
+ * @returns {ActiveConflict[]} The active conflicts of the mod
+ * @example
+ * const activeConflicts = findActiveConflicts(mod, enabledIndex);
+ */
+const findActiveConflicts = (mod, enabledIndex) => (mod.conflicts ?? [])
+	.flatMap((conflict) => (enabledIndex.get(conflict.id) ?? [])
+		.filter((conflictingMod) => (
+			conflictingMod !== mod && matchesAlternative(conflictingMod, conflict)
+		))
+		.map((conflictingMod) => ({
+			conflict,
+			conflictingMod,
+			mod
+		})));
+
+/**
+ * Finds the IDs a mod provides that no enabled mod has as its own ID.
+ *
+ * @param {Mod} mod - The enabled mod to check
+ * @param {Map<string, Mod[]>} enabledIndex - Enabled mods indexed by ID
+ * @returns {StandIn[]} The IDs the mod stands in for
+ * @example
+ * const standIns = findStandIns(mod, enabledIndex);
+ */
+const findStandIns = (mod, enabledIndex) => (mod.provides ?? [])
+	.map((provided) => provided.id)
+	.filter((id) => !(enabledIndex.get(id) ?? []).some((owner) => owner.id === id))
+	.map((id) => ({
+		id,
+		mod
+	}));
+
+/**
+ * Resolves the dependencies, conflicts and provided IDs of a set of enabled mods against all installed mods.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {Mod[]} [enabledMods] - The mods that are enabled, defaults to those with `enabled` set
+ * @returns {Resolution} The unsatisfied dependencies, active conflicts and stand-ins
+ * @example
+ * const { activeConflicts, missingDependencies } = resolveMods(mods);
+ *
+ * for (const { dependency, mod } of missingDependencies) {
+ *   console.info(`${mod.name} is missing ${formatDependency(dependency)}`);
+ * }
+ */
+const resolveMods = (allMods, enabledMods = allMods.filter(({ enabled }) => enabled)) => {
+	const enabledIndex = indexModsById(enabledMods);
+	const disabledIndex = indexModsById(allMods.filter((mod) => !enabledMods.includes(mod)));
+
+	return {
+		activeConflicts: enabledMods.flatMap((mod) => findActiveConflicts(mod, enabledIndex)),
+		missingDependencies: enabledMods.flatMap(
+			(mod) => findMissingDependencies(mod, enabledIndex, disabledIndex)
+		),
+		standIns: enabledMods.flatMap((mod) => findStandIns(mod, enabledIndex))
+	};
+};
+
+export {
+	builtinIds,
+	findMatchingMods,
+	indexModsById
+};
+
+export default resolveMods;
@@ -0,0 +1,113 @@
+import { dirname, join } from "@std/path";
+
+const {
+	cwd,
+	errors,
+	mkdir,
+	permissions,
+	readTextFile,
+	writeTextFile
+} = Deno;
+
+/**
+ * @typedef {object} ScanCacheEntry
+ * @property {number} size - The size of the file when it was scanned
+ * @property {number|null} mtime - The modification time of the file in milliseconds when it was scanned
+ * @property {unknown} result - What scanning the file produced
+ */
+
+/**
+ * @typedef {object} ScanCache
+ * @property {number} version - The cache format version, entries of other versions are discarded
+ * @property {Record<string, ScanCacheEntry>} entries - The cached scan results by file path
+ */
+
+/**
+ * Bumped whenever parsing changes in a way that makes cached results outdated.
+ */
+const SCAN_CACHE_VERSION = 2;
+
+/**
+ * Default location of the scan cache, relative to the working directory.
+ */
+const defaultScanCachePath = join(cwd(), ".cache", "mod-scan.json");
+
+/**
+ * Reads the scan cache, starting over if it is missing, unreadable or of another version.
+ *
+ * @param {string} path - Location of the cache file
+ * @returns {Promise<Record<string, ScanCacheEntry>>} The cached entries by file path
+ * @example
+ * const entries = await readScanCache(defaultScanCachePath);
+ */
+const readScanCache = async (path) => {
+	try {
+		/** @type {ScanCache} */
+		const { entries, version } = JSON.parse(await readTextFile(path));
+
+		return version === SCAN_CACHE_VERSION ? entries : {};
+	}
+	catch {
+		return {};
+	}
+};
+
+/**
+ * Writes the scan cache. The cache is only an optimization, so this does nothing if write access
+ * to the cache folder wasn't granted and ignores failed writes.
+ *
+ * @param {string} path - Location of the cache file
+ * @param {Record<string, ScanCacheEntry>} entries - The entries to cache by file path
+ * @returns {Promise<void>}
+ * @example
+ * await writeScanCache(defaultScanCachePath, entries);
+ */
+const writeScanCache = async (path, entries) => {
+	const { state } = await permissions.query({
+		name: "write",
+		path
+	});
+
+	if (state !== "granted") {
+		return;
+	}
+
+	/** @type {ScanCache} */
+	const cache = {
+		entries,
+		version: SCAN_CACHE_VERSION
+	};
+
+	try {
+		await mkdir(dirname(path), { recursive: true });
+		await writeTextFile(path, JSON.stringify(cache));
+	}
+	catch (error) {
+		if (!(error instanceof errors.PermissionDenied) && !(error instanceof errors.NotFound)) {
+			throw error;
+		}
+	}
+};
+
+/**
+ * Checks whether a cache entry still describes a file, by comparing its size and modification time.
+ *
+ * @param {ScanCacheEntry|undefined} entry - The cached entry, if any
+ * @param {Deno.FileInfo} fileInfo - The current state of the file
+ * @returns {boolean} Whether the cached result can be used
+ * @example
+ * if (isCacheEntryFresh(entries[path], await stat(path))) {
+ *   return entries[path].result;
+ * }
+ */
+const isCacheEntryFresh = (entry, { mtime, size }) => entry !== undefined &&
+	entry.size === size &&
+	entry.mtime !== null &&
+	entry.mtime === mtime?.getTime();
+
+export {
+	defaultScanCachePath,
+	isCacheEntryFresh,
+	readScanCache,
+	writeScanCache
+};
@@ -0,0 +1,41 @@
+/**
+ * @typedef {object} SampleStatistics
+ * @property {number} count - How many samples there are
+ * @property {number} mean - The arithmetic mean
+ * @property {number} median - The middle sample, or the mean of the two middle ones
+ * @property {number} min - The smallest sample
+ * @property {number} max - The largest sample
+ * @property {number} standardDeviation - The sample standard deviation, 0 for fewer than two samples
+ */
+
+/**
+ * Summarizes repeated measurements of the same thing.
+ *
+ * @param {number[]} samples - The measurements, at least one
+ * @returns {SampleStatistics} The statistics of the samples
+ * @example
+ * // Returns { min: 58, max: 62, count: 3, mean: 60, median: 60, standardDeviation: 2 }
+ * summarizeSamples([60, 58, 62]);
+ */
+const summarizeSamples = (samples) => {
+	const sortedSamples = samples.toSorted((sampleA, sampleB) => sampleA - sampleB);
+	const count = sortedSamples.length;
+	const middle = Math.floor(count / 2);
+	const mean = sortedSamples.reduce((sum, sample) => sum + sample, 0) / count;
+
+	const squaredDeviations = sortedSamples
+		.reduce((sum, sample) => sum + ((sample - mean) ** 2), 0);
+
+	return {
+		min: sortedSamples[0],
+		max: sortedSamples[count - 1],
+		count,
+		mean,
+		median: count % 2 === 0
+			? (sortedSamples[middle - 1] + sortedSamples[middle]) / 2
+			: sortedSamples[middle],
+		standardDeviation: count > 1 ? Math.sqrt(squaredDeviations / (count - 1)) : 0
+	};
+};
+
+export default summarizeSamples;
@@ -0,0 +1,208 @@
+/**
+ * @typedef {object} SteamoddedHeader
+ * @property {Record<string, string>} fields - The raw value of every key in the header
+ * @property {string[]} warnings - Unknown keys and lines that couldn't be attributed to a key
+ */
+
+/**
+ * First line of every legacy Steamodded header.
+ */
+const HEADER_MARKER = "--- STEAMODDED HEADER";
+
+/**
+ * Byte order mark some editors put at the start of Lua files.
+ */
+const BYTE_ORDER_MARK = "\u{FEFF}";
+
+/**
+ * Prefix of every line in a legacy Steamodded header.
+ */
+const LINE_MARKER = "---";
+
+/**
+ * Every key Steamodded reads from a legacy header.
+ */
+const knownKeys = new Set([
+	"BADGE_COLOR",
+	"BADGE_COLOUR",
+	"BADGE_TEXT_COLOR",
+	"BADGE_TEXT_COLOUR",
+	"CONFLICTS",
+	"DEPENDENCIES",
+	"DEPENDS",
+	"DEPS",
+	"DISPLAY_NAME",
+	"LOADER_VERSION_GEQ",
+	"LOADER_VERSION_LEQ",
+	"MOD_AUTHOR",
+	"MOD_DESCRIPTION",
+	"MOD_ID",
+	"MOD_NAME",
+	"OPTIONAL_DEPENDENCIES",
+	"PREFIX",
+	"PRIORITY",
+	"VERSION"
+]);
+
+/**
+ * Checks whether a value opens a bracketed list without closing it on the same line.
+ *
+ * @param {string} value - The value so far
+ * @returns {boolean} Whether the list continues on the next line
+ * @example
+ * // Returns true
+ * isUnterminatedList("[Talisman,");
+ */
+const isUnterminatedList = (value) => value.startsWith("[") && !value.includes("]");
+
+/**
+ * Adds one header line to the fields, either as a new key or as a continuation of the current one.
+ *
+ * @param {object} options0 - The options object
+ * @param {string|null} options0.currentKey - The key the previous line belonged to
+ * @param {Record<string, string>} options0.fields - The fields read so far, updated in place
+ * @param {string} options0.text - The line without its leading "---"
+ * @param {string[]} options0.warnings - The warnings so far, updated in place
+ * @returns {string|null} The key the line belongs to
+ * @example
+ * currentKey = readHeaderLine({ currentKey, fields, text: "MOD_ID: MyMod", warnings });
+ */
+const readHeaderLine = ({
+	currentKey, fields, text, warnings
+}) => {
+	const { groups: { key, value } = {} } = text.match(/^(?<key>[A-Z][A-Z_]*):(?<value>.*)$/sv) ?? {};
+
+	if (key !== undefined && value !== undefined) {
+		if (!knownKeys.has(key)) {
+			warnings.push(`Unknown header key "${key}"`);
+		}
+
+		fields[key] = value.trim();
+
+		return key;
+	}
+
+	if (text === "") {
+		return currentKey;
+	}
+
+	if (currentKey === null) {
+		warnings.push(`Line "--- ${text}" doesn't belong to any header key`);
+
+		return currentKey;
+	}
+
+	const separator = isUnterminatedList(fields[currentKey]) ? " " : "\n";
+
+	fields[currentKey] = `${fields[currentKey]}${separator}${text}`;
+
+	return currentKey;
+};
+
+/**
+ * Parses a legacy `--- STEAMODDED HEADER` block.
+ *
+ * Each line starts with "---". A line of the form "--- KEY: value" starts a new key, where everything after
+ * the first colon is the value, colons included. Any other line continues the previous value, so descriptions
+ * and bracketed lists can span several lines. The header ends at the first line that doesn't start with "---"
+ * or that consists of dashes only.
+ *
+ * @param {string} content - The content of the Lua file
+ * @returns {SteamoddedHeader} The raw header fields and any warnings
+ * @throws {Error} Throws an error if the file doesn't start with a Steamodded header
+ * @example
+ * // Returns { fields: { MOD_ID: "MyMod", MOD_DESCRIPTION: "Does things: many of them" }, warnings: [] }
+ * parseSteamoddedHeader("--- STEAMODDED HEADER\n--- MOD_ID: MyMod\n--- MOD_DESCRIPTION: Does things: many of them\n");
+ */
+const parseSteamoddedHeader = (content) => {
+	const withoutBom = content.startsWith(BYTE_ORDER_MARK)
+		? content.slice(BYTE_ORDER_MARK.length)
+		: content;
+	const [firstLine, ...lines] = withoutBom.split(/\r?\n/v);
+
+	if (firstLine.trim() !== HEADER_MARKER) {
+		throw new Error("Invalid mod header");
+	}
+
+	/** @type {Record<string, string>} */
+	const fields = {};
+
+	/** @type {string[]} */
+	const warnings = [];
+
+	/** @type {string|null} */
+	let currentKey = null;
+
+	for (const line of lines) {
+		const trimmedLine = line.trim();
+
+		if (!trimmedLine.startsWith(LINE_MARKER) || /^-+$/v.test(trimmedLine)) {
+			break;
+		}
+
+		currentKey = readHeaderLine({
+			currentKey,
+			fields,
+			text: trimmedLine.slice(LINE_MARKER.length).trim(),
+			warnings
+		});
+	}
+
+	return {
+		fields,
+		warnings
+	};
+};
+
+/**
+ * Splits a bracketed header list like `[Talisman, "Cryptid (>=0.5)", 'Some Mod']` into its items.
+ * Commas inside quotes don't split, surrounding whitespace and quotes are removed and empty items are dropped.
+ *
+ * @param {string|undefined} value - The raw header value
+ * @returns {string[]} The items of the list, empty if the value is missing
+ * @example
+ * // Returns ["Jane, the Modder", "John"]
+ * parseHeaderList('[ "Jane, the Modder" , John ]');
+ */
+const parseHeaderList = (value) => {
+	if (value === undefined) {
+		return [];
+	}
+
+	const trimmedValue = value.trim();
+	const listContent = trimmedValue.startsWith("[") && trimmedValue.endsWith("]")
+		? trimmedValue.slice(1, -1)
+		: trimmedValue;
+
+	/** @type {string[]} */
+	const items = [];
+
+	let currentItem = "";
+
+	/** @type {string|null} */
+	let quote = null;
+
+	for (const character of listContent) {
+		if (quote === null && (character === "\"" || character === "'")) {
+			quote = character;
+		}
+		else if (character === quote) {
+			quote = null;
+		}
+		else if (quote === null && character === ",") {
+			items.push(currentItem);
+			currentItem = "";
+		}
+		else {
+			currentItem += character;
+		}
+	}
+
+	items.push(currentItem);
+
+	return items
+		.map((item) => item.trim())
+		.filter((item) => item !== "");
+};
+
+export { parseHeaderList, parseSteamoddedHeader };
@@ -0,0 +1,117 @@
+import { exists } from "@std/fs";
+
+import { checkConfiguration } from "./bisection-oracle.js";
+import {
+	defaultSessionPath,
+	readSession,
+	readStepLog
+} from "./bisection-session.js";
+import { findExistingLovelyIgnorePaths } from "./mod-roots.js";
+import { applyModConfiguration, restoreLovelyIgnorePaths } from "./mod-toggles.js";
+
+/**
+ * @typedef {import("./bisection-oracle.js").TestSettings} TestSettings
+ * @typedef {import("./bisection-session.js").BisectionStep} BisectionStep
+ * @typedef {import("./ddmin.js").TestOutcome} TestOutcome
+ * @typedef {import("./load-mods.js").Mod} Mod
+ */
+
+/**
+ * The test outcome each logged answer stands for, answers that aren't test results are missing.
+ *
+ * @type {Record<string, TestOutcome>}
+ */
+const loggedOutcomes = {
+	fail: "fail",
+	n: "fail",
+	pass: "pass",
+	unresolved: "unresolved",
+	y: "pass"
+};
+
+/**
+ * Applies every logged configuration again and finds out whether the game runs fine with it.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {BisectionStep[]} steps - The logged steps in order
+ * @param {TestSettings} settings - Who decides and how often a pass is repeated
+ * @returns {Promise<number[]>} The steps where the outcome differs from the logged one
+ * @example
+ * const differingSteps = await replaySteps(mods, await readStepLog(defaultStepLogPath), settings);
+ */
+const replaySteps = async (allMods, steps, settings) => {
+	const differingSteps = [];
+
+	for (
+		const {
+			answer, enabledMods, step, timestamp
+		} of steps
+	) {
+		const loggedOutcome = loggedOutcomes[answer];
+
+		if (loggedOutcome === undefined) {
+			console.info(`Step ${step} (${timestamp}): answered "${answer}", nothing to test`);
+			continue;
+		}
+
+		const configurationMods = new Set(enabledMods);
+
+		await applyModConfiguration(allMods, configurationMods);
+
+		console.info(`Step ${step} (${timestamp}): ${loggedOutcome} with ${enabledMods.join(", ") || "no mods"}`);
+
+		if (await checkConfiguration(settings, configurationMods) !== loggedOutcome) {
+			differingSteps.push(step);
+		}
+	}
+
+	return differingSteps;
+};
+
+/**
+ * Replays a step log, reporting the steps where the outcome differs from the logged one.
+ * Nothing is replayed while a session is in progress, and the mod state from before the replay
+ * is restored afterwards, even if the replay fails.
+ *
+ * @param {Mod[]} allMods - All installed mods
+ * @param {string} stepLogPath - Location of the step log
+ * @param {TestSettings} settings - Who decides and how often a pass is repeated
+ * @returns {Promise<void>}
+ * @example
+ * // Reproduce the search that was just finished
+ * await replayStepLog(mods, defaultStepLogPath, settings);
+ */
+const replayStepLog = async (allMods, stepLogPath, settings) => {
+	const session = await readSession(defaultSessionPath);
+
+	// Replaying toggles mods, which would change the state a saved session resumes from
+	if (session !== null) {
+		console.info(`A ${session.mode} session is in progress, finish it or run "deno task binary-search abort" before replaying.`);
+
+		return;
+	}
+
+	if (!(await exists(stepLogPath))) {
+		console.info(`There is no step log at ${stepLogPath}.`);
+
+		return;
+	}
+
+	const steps = await readStepLog(stepLogPath);
+	const lovelyIgnorePaths = await findExistingLovelyIgnorePaths(allMods);
+
+	try {
+		const differingSteps = await replaySteps(allMods, steps, settings);
+
+		console.info(
+			differingSteps.length > 0
+				? `The outcome differs from the log at steps ${differingSteps.join(", ")}.`
+				: "Every outcome matches the log."
+		);
+	}
+	finally {
+		await restoreLovelyIgnorePaths(allMods, lovelyIgnorePaths);
+	}
+};
+
+export default replayStepLog;
@@ -0,0 +1,111 @@
+/**
+ * @typedef {import("./ddmin.js").TestOutcome} TestOutcome
+ */
+
+/**
+ * How likely each mod is to be the one causing the problem, by mod name. The scores add up to 1.
+ *
+ * @typedef {Record<string, number>} Suspicion
+ */
+
+/**
+ * Scores below this are treated as 0, so rounding errors don't keep cleared mods suspicious.
+ */
+const NEGLIGIBLE_SUSPICION = 1e-9;
+
+/**
+ * Suspects every mod equally.
+ *
+ * @param {string[]} modNames - The names of the mods that might cause the problem
+ * @returns {Suspicion} The same score for every mod
+ * @example
+ * // Returns { Cryptid: 0.5, Talisman: 0.5 }
+ * createSuspicion(["Cryptid", "Talisman"]);
+ */
+const createSuspicion = (modNames) => Object.fromEntries(
+	modNames.map((modName) => [modName, 1 / modNames.length])
+);
+
+/**
+ * Adds up the scores of some mods, which is how likely it is that one of them causes the problem.
+ *
+ * @param {Suspicion} suspicion - The current scores
+ * @param {string[]} modNames - The names of the mods to add up
+ * @returns {number} The combined score
+ * @example
+ * const enabledSuspicion = getCombinedSuspicion(suspicion, [...enabledMods]);
+ */
+const getCombinedSuspicion = (suspicion, modNames) => modNames
+	.reduce((total, modName) => total + (suspicion[modName] ?? 0), 0);
+
+/**
+ * Updates the scores with the outcome of a test, assuming a single mod causes the problem and that it shows up
+ * in a run with that mod enabled with the given probability. A failure clears every mod that wasn't enabled,
+ * a pass makes the enabled mods less suspicious, the more so the more reliably the problem shows up.
+ * Unresolved tests change nothing.
+ *
+ * @param {Suspicion} suspicion - The scores before the test
+ * @param {string[]} testedModNames - The names of the mods that were enabled
+ * @param {TestOutcome} outcome - The outcome of the test
+ * @param {number} failureRate - How likely a run with the causing mod enabled fails, between 0 and 1
+ * @returns {Suspicion} The scores after the test, the scores before it if the outcome contradicts them
+ * @example
+ * suspicion = updateSuspicion(suspicion, [...enabledMods], "pass", 1 / 3);
+ */
+const updateSuspicion = (suspicion, testedModNames, outcome, failureRate) => {
+	if (outcome === "unresolved") {
+		return suspicion;
+	}
+
+	const testedModNameSet = new Set(testedModNames);
+
+	const weightedScores = Object.entries(suspicion).map(([modName, score]) => {
+		const failureChance = testedModNameSet.has(modName) ? failureRate : 0;
+
+		return {
+			modName,
+			weight: score * (outcome === "fail" ? failureChance : 1 - failureChance)
+		};
+	});
+
+	const total = weightedScores.reduce((sum, { weight }) => sum + weight, 0);
+
+	if (total < NEGLIGIBLE_SUSPICION) {
+		return suspicion;
+	}
+
+	return Object.fromEntries(
+		weightedScores.map(({ modName, weight }) => {
+			const score = weight / total;
+
+			return [modName, score < NEGLIGIBLE_SUSPICION ? 0 : score];
+		})
+	);
+};
+
+/**
+ * Works out how often a configuration has to pass in a row to be this confident that none of its mods
+ * cause a problem that shows up with the given probability.
+ *
+ * @param {number} confidence - The confidence to reach, between 0 and 1
+ * @param {number} failureRate - How likely a run with the causing mod enabled fails, between 0 and 1
+ * @returns {number} The number of runs, at least 1
+ * @example
+ * // Returns 8, a problem showing up one run in three slips through 8 runs less than 5% of the time
+ * getRequiredRunCount(0.95, 1 / 3);
+ */
+const getRequiredRunCount = (confidence, failureRate) => {
+	if (failureRate >= 1) {
+		return 1;
+	}
+
+	return Math.max(1, Math.ceil(Math.log(1 - confidence) / Math.log(1 - failureRate)));
+};
+
+export {
+	createSuspicion,
+	getCombinedSuspicion,
+	getRequiredRunCount,
+	NEGLIGIBLE_SUSPICION,
+	updateSuspicion
+};
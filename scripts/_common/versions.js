@@ -0,0 +1,249 @@
+/**
+ * @typedef {object} Version
+ * @property {number} major - The major version
+ * @property {number} minor - The minor version, or `WILDCARD` for `*`
+ * @property {number} patch - The patch version, or `WILDCARD` for `*`
+ * @property {string} rev - Everything after the patch version, e.g. "~BETA-0404a"
+ * @property {number} beta - `-1` if `rev` marks a pre-release (starts with "~"), `0` otherwise
+ */
+
+/**
+ * @typedef {import("./dependencies.js").VersionConstraint} VersionConstraint
+ */
+
+/**
+ * Value Steamodded uses for a `*` in the minor or patch position.
+ */
+const WILDCARD = -2;
+
+/**
+ * Version Steamodded assumes for mods that don't declare one.
+ */
+const DEFAULT_VERSION = "0.0.0";
+
+/**
+ * Splits an optional "." and a minor or patch component off the start of a string.
+ *
+ * @param {string} string - The remaining version string
+ * @returns {[number, string]} The component, with "*" mapped to `WILDCARD` and a missing one to `0`, and the rest of the string
+ * @example
+ * // Returns [2, ".4~BETA"]
+ * splitComponent(".2.4~BETA");
+ */
+const splitComponent = (string) => {
+	const withoutDot = string.startsWith(".") ? string.slice(1) : string;
+	const [component = ""] = withoutDot.match(/^[\d*]*/v) ?? [];
+	const rest = withoutDot.slice(component.length);
+
+	if (component === "*") {
+		return [WILDCARD, rest];
+	}
+
+	return [Number(component) || 0, rest];
+};
+
+/**
+ * Parses a version string in Steamodded's `(major).(minor).(patch)(rev)` format.
+ * Minor and patch may be omitted or `*`, a `rev` starting with "~" marks a pre-release.
+ *
+ * @param {string} [versionString] - The version string, defaults to "0.0.0"
+ * @returns {Version} The parsed version
+ * @throws {Error} Throws an error if the string doesn't start with a major version
+ * @example
+ * // Returns { major: 1, minor: 0, patch: 0, rev: "~BETA-0404a", beta: -1 }
+ * parseVersion("1.0.0~BETA-0404a");
+ */
+const parseVersion = (versionString = DEFAULT_VERSION) => {
+	const trimmedVersionString = versionString.trim();
+	const [major] = trimmedVersionString.match(/^\d+/v) ?? [];
+
+	if (major === undefined) {
+		throw new Error(`Invalid version "${versionString}"`);
+	}
+
+	const [minor, afterMinor] = splitComponent(trimmedVersionString.slice(major.length));
+	const [patch, rev] = splitComponent(afterMinor);
+
+	return {
+		beta: rev.startsWith("~") ? -1 : 0,
+		major: Number(major),
+		minor,
+		patch,
+		rev
+	};
+};
+
+/**
+ * Parses a version string, returning `null` instead of throwing for invalid versions.
+ *
+ * @param {string} versionString - The version string to parse
+ * @returns {Version|null} The parsed version, or `null` if it is invalid
+ * @example
+ * // Returns null
+ * tryParseVersion("latest");
+ */
+const tryParseVersion = (versionString) => {
+	try {
+		return parseVersion(versionString);
+	}
+	catch {
+		return null;
+	}
+};
+
+/**
+ * Normalizes a version or version string to a parsed version.
+ *
+ * @param {Version|string} version - A parsed version or a version string
+ * @returns {Version} The parsed version
+ * @example
+ * const version = toVersion("2.1");
+ */
+const toVersion = (version) => (typeof version === "string" ? parseVersion(version) : version);
+
+/**
+ * Checks whether two versions are equal, honouring wildcards the same way Steamodded does.
+ *
+ * @param {Version|string} versionA - The first version
+ * @param {Version|string} versionB - The second version
+ * @returns {boolean} Whether the versions are equal
+ * @example
+ * // Returns true
+ * versionsEqual("2.1.4", "2.*");
+ */
+const versionsEqual = (versionA, versionB) => {
+	const first = toVersion(versionA);
+	const second = toVersion(versionB);
+
+	const minorWildcard = first.minor === WILDCARD || second.minor === WILDCARD;
+	const patchWildcard = first.patch === WILDCARD || second.patch === WILDCARD || minorWildcard;
+
+	return first.major === second.major &&
+		(first.minor === second.minor || minorWildcard) &&
+		(first.patch === second.patch || patchWildcard) &&
+		(first.rev === second.rev || patchWildcard) &&
+		(first.beta === second.beta || patchWildcard);
+};
+
+/**
+ * Checks whether a version is lower than or equal to another one, in Steamodded's order:
+ * major, minor and patch first, then pre-releases before releases, then `rev` as a string.
+ * A wildcard in the upper bound includes every version it matches.
+ *
+ * @param {Version|string} versionA - The version to check
+ * @param {Version|string} versionB - The upper bound
+ * @returns {boolean} Whether `versionA` is lower than or equal to `versionB`
+ * @example
+ * // Returns true
+ * versionAtMost("1.0.0~BETA-0404a", "1.0.0");
+ */
+const versionAtMost = (versionA, versionB) => {
+	const first = toVersion(versionA);
+	const bound = toVersion(versionB);
+
+	const second = {
+		...bound,
+		major: bound.major + (bound.minor === WILDCARD ? 1 : 0),
+		minor: bound.minor === WILDCARD ? 0 : bound.minor + (bound.patch === WILDCARD ? 1 : 0),
+		patch: bound.patch === WILDCARD ? 0 : bound.patch
+	};
+
+	for (const key of /** @type {const} */ ([
+		"major",
+		"minor",
+		"patch",
+		"beta"
+	])) {
+		if (first[key] !== second[key]) {
+			return first[key] < second[key];
+		}
+	}
+
+	return first.rev <= second.rev;
+};
+
+/**
+ * Compares two versions for sorting.
+ *
+ * @param {Version|string} versionA - The first version
+ * @param {Version|string} versionB - The second version
+ * @returns {number} A negative number if `versionA` is lower, a positive number if it is higher, `0` if they are equal
+ * @example
+ * // Returns ["1.0.0~ALPHA", "1.0.0~BETA", "1.0.0", "1.0.1"]
+ * ["1.0.1", "1.0.0", "1.0.0~BETA", "1.0.0~ALPHA"].toSorted(compareVersions);
+ */
+const compareVersions = (versionA, versionB) => {
+	if (versionsEqual(versionA, versionB)) {
+		return 0;
+	}
+
+	return versionAtMost(versionA, versionB) ? -1 : 1;
+};
+
+/**
+ * Checks whether a version meets a single constraint, with Steamodded's operators:
+ * `>=` and `<=` are inclusive, `>>` and `<<` are exclusive and `==` honours wildcards.
+ *
+ * @param {Version} version - The parsed version to check
+ * @param {VersionConstraint} constraint - The constraint to check against
+ * @returns {boolean} Whether the version meets the constraint
+ * @example
+ * // Returns true
+ * meetsConstraint(parseVersion("2.9.1"), { operator: "<<", version: "3.0" });
+ */
+const meetsConstraint = (version, { operator, version: constraintVersion }) => {
+	const bound = tryParseVersion(constraintVersion);
+
+	if (bound === null) {
+		return false;
+	}
+
+	switch (operator) {
+		case "<<":
+			return versionAtMost(version, bound) && !versionsEqual(version, bound);
+
+		case "<=":
+			return versionAtMost(version, bound);
+
+		case "==":
+			return versionsEqual(version, bound);
+
+		case ">=":
+			return versionAtMost(bound, version);
+
+		case ">>":
+			return versionAtMost(bound, version) && !versionsEqual(version, bound);
+
+		default:
+			return false;
+	}
+};
+
+/**
+ * Checks whether a version meets all of the given constraints.
+ * Missing versions are treated as "0.0.0", like Steamodded does.
+ *
+ * @param {string|undefined} version - The version to check, `undefined` if the mod doesn't declare one
+ * @param {VersionConstraint[]} constraints - The constraints to check against
+ * @returns {boolean} Whether the version meets every constraint
+ * @example
+ * // Returns true, "Talisman (>=2.1) (<<3.0)" is met by 2.1.4
+ * satisfiesConstraints("2.1.4", [{ operator: ">=", version: "2.1" }, { operator: "<<", version: "3.0" }]);
+ */
+const satisfiesConstraints = (version, constraints) => {
+	const parsedVersion = tryParseVersion(version ?? DEFAULT_VERSION);
+
+	if (parsedVersion === null) {
+		return constraints.length === 0;
+	}
+
+	return constraints.every((constraint) => meetsConstraint(parsedVersion, constraint));
+};
+
+export {
+	compareVersions,
+	parseVersion,
+	satisfiesConstraints,
+	versionAtMost,
+	versionsEqual
+};
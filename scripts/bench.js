@@ -1,164 +1,575 @@
-import { exists } from "@std/fs";
-import { dirname } from "@std/path";
-
-import { Input } from "@cliffy/prompt";
-import { fork } from "@radashi-org/radashi";
-
-import { mods } from "./_common/_exports.js";
+import { parseArgs } from "@std/cli";
+
+import {
+	applyModConfiguration,
+	createMetricCollector,
+	defaultPackConfigPath,
+	generateBenchSubsets,
+	getListedModNames,
+	getMachineInfo,
+	getSubsetCommits,
+	getSubsetOutcome,
+	loadLauncher,
+	mods,
+	readBenchResults,
+	readPackConfig,
+	runGame,
+	subsetStrategyNames,
+	summarizeRuns,
+	toBenchRun,
+	writeBenchResults
+} from "./_common/_exports.js";
 
 const {
-	Command,
+	args,
 	errors: { NotFound },
+	exit,
 	readTextFile,
-	remove,
 	writeTextFile
 } = Deno;
 
+/**
+ * @typedef {import("./_common/bench-results.js").BenchResults} BenchResults
+ * @typedef {import("./_common/bench-results.js").BenchRun} BenchRun
+ * @typedef {import("./_common/bench-results.js").BenchSubsetResult} BenchSubsetResult
+ * @typedef {import("./_common/bench-results.js").RunOutcome} RunOutcome
+ * @typedef {import("./_common/bench-results.js").RunSettings} RunSettings
+ * @typedef {import("./_common/bench-subsets.js").SubsetStrategyName} SubsetStrategyName
+ * @typedef {import("./_common/bench-subsets.js").SubsetStrategyOptions} SubsetStrategyOptions
+ * @typedef {import("./_common/launcher.js").Launcher} Launcher
+ * @typedef {import("./_common/load-mods.js").Mod} Mod
+ * @typedef {import("./_common/statistics.js").SampleStatistics} SampleStatistics
+ */
+
 const benchJsonFilePath = "bench.json";
 
-const benchJsonFileContent = await readTextFile(benchJsonFilePath);
+// List of the pack config whose mods are never benched
+const DISABLED_LIST = "disabled";
+
+// Mods the bench itself needs, enabled in every subset
+const alwaysEnabledMods = [
+	"Balabench",
+	"Balatest",
+	"DebugPlus"
+];
+
+/**
+ * Start the game and collect the metrics it reports over the bench line protocol, then stop it
+ *
+ * @param {Launcher} launcher - How to start the game
+ * @param {RunSettings} settings - How long the run may take and which part of it is measured
+ * @returns {Promise<Omit<BenchRun, "timestamp">>} How the run ended, with the metrics the game reported
+ * @example
+ * const { metrics, outcome } = await measureMetrics(launcher, {
+ *   timeout: 120,
+ *   warmup: 5,
+ *   window: 30
+ * });
+ */
+const measureMetrics = async (launcher, {
+	timeout, warmup, window
+}) => {
+	const collector = createMetricCollector({
+		warmup,
+		window
+	});
+
+	try {
+		const gameRun = await runGame(launcher, {
+			onOutputLine: collector.addLine,
+			signal: collector.signal,
+			timeout
+		});
 
-const bench = JSON.parse(benchJsonFileContent);
+		return toBenchRun(gameRun, collector.getCollectedMetrics());
+	}
+	catch (error) {
+		console.error("Error starting the game:", error);
 
-const gameFilePath = "/Users/nnmrts/Library/Application Support/Steam/steamapps/common/Balatro/Balatro.app/Contents/MacOS/love";
-const resourcePath = "/Users/nnmrts/Library/Application Support/Steam/steamapps/common/Balatro/Balatro.app/Contents/Resources/Balatro/";
+		return exit(1);
+	}
+	finally {
+		collector.stop();
+	}
+};
 
 /**
- * Helper function to write .lovelyignore file to disable mods
+ * Enable exactly the mods of a subset and run the game with them a number of times
  *
- * @param {typeof mods} modList - Array of mod objects
- * @returns {Promise<void>} A promise that resolves when all files are written
+ * @param {Array<string>} subset - Names of the mods to enable
+ * @param {object} options - How to run the game
+ * @param {Launcher} options.launcher - How to start the game
+ * @param {number} options.runCount - How often to run the game
+ * @param {RunSettings} options.runSettings - How long each run may take and which part of it is measured
+ * @returns {Promise<BenchSubsetResult>} The runs of the subset and their statistics
  * @example
- * // Disable a list of mods by creating .lovelyignore files
- * await writeLovelyIgnore(modsToDisable);
+ * const result = await benchSubset(["Cryptid", "Talisman"], {
+ *   launcher,
+ *   runCount: 5,
+ *   runSettings: {
+ *     timeout: 120,
+ *     warmup: 5,
+ *     window: 30
+ *   }
+ * });
  */
-const writeLovelyIgnore = async (modList) => {
-	for (const mod of modList) {
-		const modDirectory = dirname(mod.path);
-		const filePath = `${modDirectory}/.lovelyignore`;
+const benchSubset = async (subset, {
+	launcher, runCount, runSettings
+}) => {
+	const allMods = [...mods];
 
-		await writeTextFile(filePath, "");
+	await applyModConfiguration(allMods, new Set([...alwaysEnabledMods, ...subset]));
+
+	/** @type {Array<BenchRun>} */
+	const runs = [];
+
+	for (let runIndex = 0; runIndex < runCount; runIndex++) {
+		const timestamp = new Date().toISOString();
+		const run = await measureMetrics(launcher, runSettings);
+
+		runs.push({
+			...run,
+			timestamp
+		});
 	}
+
+	return {
+		commits: await getSubsetCommits(allMods.filter(({ name }) => subset.includes(name))),
+		outcome: getSubsetOutcome(runs),
+		runs,
+		statistics: summarizeRuns(runs),
+		subset
+	};
 };
 
 /**
- * Helper function to remove .lovelyignore file to enable mods
+ * Format the statistics of a metric for the console
  *
- * @param {typeof mods} modList - Array of mod objects
- * @returns {Promise<void>} A promise that resolves when all files are removed
+ * @param {SampleStatistics} statistics - The statistics of the metric
+ * @returns {string} The mean, median, minimum and standard deviation with the number of samples
  * @example
- * // Enable a list of mods by removing their .lovelyignore files
- * await removeLovelyIgnore(modsToEnable);
+ * // Returns "mean 60, median 60, min 58, standard deviation 2 (3 runs)"
+ * formatStatistics({ min: 58, max: 62, count: 3, mean: 60, median: 60, standardDeviation: 2 });
  */
-const removeLovelyIgnore = async (modList) => {
-	for (const mod of modList) {
-		const modDirectory = dirname(mod.path);
-		const filePath = `${modDirectory}/.lovelyignore`;
+const formatStatistics = ({
+	min, count, mean, median, standardDeviation
+}) => {
+	const [
+		formattedMean,
+		formattedMedian,
+		formattedMin,
+		formattedStandardDeviation
+	] = [
+		mean,
+		median,
+		min,
+		standardDeviation
+	].map((value) => value.toLocaleString("en", { maximumFractionDigits: 2 }));
+
+	return `mean ${formattedMean}, median ${formattedMedian}, min ${formattedMin}, standard deviation ${formattedStandardDeviation} (${count} runs)`;
+};
 
-		try {
-			await remove(filePath);
-		}
-		catch (error) {
-			if (!(error instanceof NotFound)) {
-				console.error(`Error removing ${filePath}:`, error);
-			}
-		}
+/**
+ * Print the statistics of every metric reported in the runs of a subset, with its unit
+ *
+ * @param {BenchSubsetResult} subsetResult - The runs of the subset and the statistics of their metrics
+ * @example
+ * // Prints "  FPS: mean 59.8, median 59.9, min 58.2, standard deviation 0.6 (5 runs)"
+ * printMetricStatistics(subsetResult);
+ */
+const printMetricStatistics = ({ runs, statistics }) => {
+	const metricNames = Object.keys(statistics).toSorted();
+
+	if (metricNames.length === 0) {
+		console.info("  No metric reported");
+
+		return;
+	}
+
+	for (const metricName of metricNames) {
+		const unit = runs
+			.map(({ samples }) => samples[metricName]?.unit)
+			.find((metricUnit) => typeof metricUnit === "string");
+
+		const label = unit === undefined ? metricName : `${metricName} (${unit})`;
+
+		console.info(`  ${label}: ${formatStatistics(statistics[metricName])}`);
 	}
 };
 
 /**
+ * Read a whole number from an option, exiting if it isn't a positive one
  *
- * @param mod
+ * @param {string} value - The value of the option
+ * @param {string} optionName - The name of the option, for the error message
+ * @returns {number} The number
  * @example
+ * // Returns 5
+ * parsePositiveInteger("5", "runs");
  */
-const isModDisabled = async (mod) => {
-	const modDirectory = dirname(mod.path);
-	const ignorePath = `${modDirectory}/.lovelyignore`;
+const parsePositiveInteger = (value, optionName) => {
+	const number = Number(value);
 
-	return await exists(ignorePath);
+	if (!Number.isInteger(number) || number < 1) {
+		console.error(`--${optionName} has to be a positive whole number.`);
+
+		return exit(1);
+	}
+
+	return number;
 };
 
-const decoder = new TextDecoder();
-
-for (const subset of bench.slice(0, 10)) {
-	const [modsToEnable, modsToDisable] = fork(
-		mods,
-		({ name }) => subset.includes(name) || [
-			"Balabench",
-			"Balatest",
-			"DebugPlus"
-		].includes(name)
-	);
-
-	for (const mod of modsToDisable) {
-		if (await isModDisabled(mod)) {
-			continue;
-		}
+/**
+ * Read a duration in seconds from an option, exiting if it isn't a number of seconds
+ *
+ * @param {string} value - The value of the option
+ * @param {string} optionName - The name of the option, for the error message
+ * @returns {number} The duration in seconds
+ * @example
+ * // Returns 2.5
+ * parseSeconds("2.5", "warmup");
+ */
+const parseSeconds = (value, optionName) => {
+	const seconds = Number(value);
+
+	if (value.trim() === "" || !Number.isFinite(seconds) || seconds < 0) {
+		console.error(`--${optionName} has to be a number of seconds.`);
 
-		await writeLovelyIgnore([mod]);
+		return exit(1);
 	}
 
-	for (const mod of modsToEnable) {
-		if (!(await isModDisabled(mod))) {
-			continue;
-		}
+	return seconds;
+};
 
-		await removeLovelyIgnore([mod]);
+/**
+ * Print the end of the game output of the last run of a subset that isn't ok, to tell why it failed
+ *
+ * @param {BenchSubsetResult} subsetResult - The runs of the subset with their outcome and output
+ * @example
+ * printFailedRunOutput(subsetResult);
+ */
+const printFailedRunOutput = ({ runs }) => {
+	const failedRun = runs.findLast(({ outcome }) => outcome !== "ok");
+
+	if (failedRun?.output === undefined) {
+		return;
 	}
 
-	const gameCommand = new Command(
-		gameFilePath,
-		{
-			args: [resourcePath],
-			env: {
-				DYLD_INSERT_LIBRARIES: "liblovely.dylib"
-			},
-			stderr: "piped",
-			stdout: "piped"
+	const {
+		exitCode,
+		outcome,
+		output: { stderr, stdout },
+		signal
+	} = failedRun;
+
+	const signalSuffix = signal === null ? "" : ` (${signal})`;
+
+	console.warn(`Last ${outcome} run ended with exit code ${exitCode}${signalSuffix}`);
+
+	/** @type {Array<[string, string[]]>} */
+	const streams = [["stdout", stdout], ["stderr", stderr]];
+
+	for (const [streamName, lines] of streams) {
+		if (lines.length > 0) {
+			console.warn(`Last lines of ${streamName}:\n${lines.join("\n")}`);
 		}
-	);
+	}
+};
 
-	const gameProcess = await gameCommand.spawn();
+/**
+ * Pick the mods subsets are generated from: every mod except the ones the bench itself needs
+ * and the ones on the disabled list of the pack config
+ *
+ * @param {string} packConfigPath - Location of the pack config
+ * @returns {Promise<Array<Mod>>} The mods to build subsets from
+ * @example
+ * const candidateMods = await loadCandidateMods("pack-config.json");
+ */
+const loadCandidateMods = async (packConfigPath) => {
+	try {
+		const config = await readPackConfig(packConfigPath);
+		const disabledMods = Object.hasOwn(config.lists, DISABLED_LIST)
+			? getListedModNames(config, [DISABLED_LIST])
+			: [];
+
+		return mods.filter(({ name }) => (
+			!alwaysEnabledMods.includes(name) && !disabledMods.includes(name)
+		));
+	}
+	catch (error) {
+		console.error(
+			`Error loading the pack config ${packConfigPath}:`,
+			error instanceof Error ? error.message : error
+		);
 
-	const { stdout } = gameProcess;
+		return exit(1);
+	}
+};
 
-	let rolling = "";
+/**
+ * Read the subsets to bench from bench.json, exiting if it is missing or isn't a list of mod name lists.
+ * Subsets naming mods that aren't installed are benched without them, with a warning
+ *
+ * @returns {Promise<Array<Array<string>>>} The names of the mods of each subset
+ * @example
+ * const subsets = await readSubsetsFile();
+ */
+const readSubsetsFile = async () => {
+	let subsets;
 
 	try {
-		for await (const chunk of stdout) {
-			const text = decoder.decode(chunk, { stream: true });
-			const combined = rolling + text;
+		subsets = JSON.parse(await readTextFile(benchJsonFilePath));
+	}
+	catch (error) {
+		if (error instanceof NotFound) {
+			console.error(`There is no ${benchJsonFilePath}, pass --strategy to generate the subsets instead.`);
+		}
+		else {
+			console.error(`Error reading ${benchJsonFilePath}:`, error instanceof Error ? error.message : error);
+		}
 
-			const match = combined.match(/BENCH:FPS:(?<fps>\d+(?:\.\d+)?)/v);
+		return exit(1);
+	}
 
-			if (match !== null) {
-				const {
-					groups: { fps: fpsString } = {}
-				} = match;
+	const isSubsetList = Array.isArray(subsets) && subsets.every((subset) => (
+		Array.isArray(subset) && subset.every((modName) => typeof modName === "string")
+	));
 
-				const fps = Number(fpsString);
+	if (!isSubsetList) {
+		console.error(`${benchJsonFilePath} has to hold a list of subsets, each a list of mod names.`);
 
-				console.info(`${subset.join(", ")} - FPS: ${fps}`);
+		return exit(1);
+	}
 
-				gameProcess.kill();
-				break;
-			}
+	const installedModNames = new Set(mods.map(({ name }) => name));
 
-			const KEEP = 20;
+	for (const [index, subset] of /** @type {Array<Array<string>>} */ (subsets).entries()) {
+		const unknownModNames = subset.filter((modName) => !installedModNames.has(modName));
 
-			rolling = combined.length > KEEP
-				? combined.slice(-KEEP)
-				: combined;
+		if (unknownModNames.length > 0) {
+			console.warn(`Warning: Subset ${index + 1} of ${benchJsonFilePath} names mods that aren't installed, it is benched without them: ${unknownModNames.join(", ")}`);
 		}
 	}
-	catch {
-		// do nothing
+
+	return subsets;
+};
+
+/**
+ * Load the subsets to bench, generated with a strategy or read from bench.json if there is none
+ *
+ * @param {object} options - Where the subsets come from
+ * @param {string|undefined} options.strategyName - The strategy to generate subsets with, if any
+ * @param {Omit<SubsetStrategyOptions, "strategy">} options.strategyOptions - The options of random subsets
+ * @param {string} options.packConfigPath - Location of the pack config with the mods to leave out
+ * @returns {Promise<Array<Array<string>>>} The names of the mods of each subset
+ * @example
+ * const subsets = await loadSubsets({
+ *   packConfigPath: "pack-config.json",
+ *   strategyName: "pairwise",
+ *   strategyOptions: { count: 10, seed: 1, size: 3 }
+ * });
+ */
+const loadSubsets = async ({
+	packConfigPath, strategyName, strategyOptions
+}) => {
+	if (strategyName === undefined) {
+		return await readSubsetsFile();
+	}
+
+	if (!subsetStrategyNames.includes(/** @type {SubsetStrategyName} */ (strategyName))) {
+		console.error(`Unknown strategy ${strategyName}, expected one of ${subsetStrategyNames.join(", ")}.`);
+
+		return exit(1);
 	}
 
+	const candidateMods = await loadCandidateMods(packConfigPath);
+
 	try {
-		await gameProcess.status;
+		return generateBenchSubsets({
+			availableMods: mods,
+			candidateMods,
+			enabledMods: mods.filter(({ name }) => alwaysEnabledMods.includes(name))
+		}, {
+			...strategyOptions,
+			strategy: /** @type {SubsetStrategyName} */ (strategyName)
+		});
 	}
 	catch (error) {
-		console.error("Failed to get exit status:", error);
+		console.error("Error generating subsets:", error instanceof Error ? error.message : error);
+
+		return exit(1);
+	}
+};
+
+/**
+ * Load how to start the game, exiting if the launcher config or a BENCH_LAUNCHER_* variable is invalid
+ *
+ * @returns {Promise<Launcher>} How to start the game
+ * @example
+ * const launcher = await loadGameLauncher();
+ */
+const loadGameLauncher = async () => {
+	try {
+		return await loadLauncher();
+	}
+	catch (error) {
+		console.error("Error loading the launcher:", error instanceof Error ? error.message : error);
+
+		return exit(1);
+	}
+};
+
+const {
+	count: randomCount,
+	from: fromPosition,
+	output: outputPath,
+	"pack-config": packConfigPath,
+	resume,
+	runs,
+	seed: randomSeed,
+	size: randomSize,
+	strategy: strategyName,
+	timeout: timeoutSeconds,
+	to: toPosition,
+	warmup: warmupSeconds,
+	window: windowSeconds,
+	"write-subsets": writeSubsets
+} = parseArgs(args, {
+	boolean: ["resume", "write-subsets"],
+	default: {
+		count: "10",
+		from: "1",
+		output: "bench-results",
+		"pack-config": defaultPackConfigPath,
+		runs: "5",
+		seed: "1",
+		size: "3",
+		timeout: "120",
+		warmup: "5",
+		window: "30"
+	},
+	string: [
+		"count",
+		"from",
+		"output",
+		"pack-config",
+		"runs",
+		"seed",
+		"size",
+		"strategy",
+		"timeout",
+		"to",
+		"warmup",
+		"window"
+	]
+});
+
+const seed = Number(randomSeed);
+
+if (!Number.isInteger(seed)) {
+	console.error("--seed has to be a whole number.");
+
+	exit(1);
+}
+
+if (writeSubsets && strategyName === undefined) {
+	console.error("--write-subsets needs a --strategy to generate the subsets with.");
+
+	exit(1);
+}
+
+const subsets = await loadSubsets({
+	packConfigPath,
+	strategyName,
+	strategyOptions: {
+		count: parsePositiveInteger(randomCount, "count"),
+		seed,
+		size: parsePositiveInteger(randomSize, "size")
 	}
+});
+
+if (writeSubsets) {
+	await writeTextFile(benchJsonFilePath, `${JSON.stringify(subsets, null, "\t")}\n`);
+
+	console.info(`Wrote ${subsets.length} subsets to ${benchJsonFilePath}.`);
+
+	exit(0);
+}
+
+const runCount = parsePositiveInteger(runs, "runs");
+
+const timeout = parseSeconds(timeoutSeconds, "timeout");
+
+/** @type {RunSettings} */
+const runSettings = {
+	timeout,
+	warmup: parseSeconds(warmupSeconds, "warmup"),
+	window: parseSeconds(windowSeconds, "window")
+};
+
+if (timeout <= runSettings.warmup + runSettings.window) {
+	console.warn("--timeout isn't longer than --warmup and --window together, runs that don't send BENCH:END will time out.");
+}
+
+// Positions are counted from 1 and include both ends, like the numbering in the output
+const firstPosition = parsePositiveInteger(fromPosition, "from");
+const lastPosition = toPosition === undefined
+	? subsets.length
+	: parsePositiveInteger(toPosition, "to");
+
+if (firstPosition > Math.min(lastPosition, subsets.length)) {
+	console.error(`--from ${firstPosition} is past --to or the last of the ${subsets.length} subsets.`);
+
+	exit(1);
+}
+
+const launcher = await loadGameLauncher();
+
+const previousResults = resume ? await readBenchResults(outputPath) : null;
+
+if (
+	previousResults !== null &&
+	JSON.stringify(previousResults.runSettings) !== JSON.stringify(runSettings)
+) {
+	console.warn(`The results in ${outputPath}.json were collected with other run settings, the new subsets use the current ones.`);
+}
+
+/** @type {BenchResults} */
+const results = previousResults ?? {
+	launcherProfile: launcher.profile,
+	machine: getMachineInfo(),
+	runSettings,
+	subsets: [],
+	timestamp: new Date().toISOString()
+};
+
+const benchedSubsets = new Set(results.subsets.map(({ subset }) => subset.join("\n")));
+
+for (const [index, subset] of subsets.slice(firstPosition - 1, lastPosition).entries()) {
+	const position = `[${firstPosition + index}/${subsets.length}]`;
+
+	if (benchedSubsets.has(subset.join("\n"))) {
+		console.info(`${position} ${subset.join(", ")} - already benched`);
+
+		continue;
+	}
+
+	const subsetResult = await benchSubset(subset, {
+		launcher,
+		runCount,
+		runSettings
+	});
+
+	results.subsets.push(subsetResult);
+
+	await writeBenchResults(outputPath, results);
+
+	const { outcome, runs: subsetRuns } = subsetResult;
+
+	const outcomeCount = subsetRuns.filter((run) => run.outcome === outcome).length;
+
+	console.info(`${position} ${subset.join(", ")} - ${outcome} (${outcomeCount} of ${subsetRuns.length} runs)`);
+
+	printMetricStatistics(subsetResult);
+	printFailedRunOutput(subsetResult);
 }
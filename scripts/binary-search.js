@@ -1,591 +1,836 @@
-import { exists } from "@std/fs";
-import { dirname } from "@std/path";
+import { parseArgs } from "@std/cli";
 
 import { Input } from "@cliffy/prompt";
 
-import { mods } from "./_common/_exports.js";
-
-// Mods that are always considered fine (won't be tested)
-let alwaysFineMods = [];
-
-// Mods that are always considered problematic (will always be disabled)
-const alwaysDisabledMods = [
-	"Betmma Abilities",
-	"Betmma Spells",
-	"Mika's Mod Collection",
-	"Pokermon",
-	"Balatrobot",
-	// "Talisman",
-	"balaum",
-	"Perk-O-lating",
-	"Gemstones",
-	"Ceres",
-	"Pampa Joker Pack",
-	// "Maximus",
-	"D6 Jokers",
-	"Ortalab",
-	// "Aikoyori's Shenanigans",
-	"Balatro Jokers PLUS",
-	"Faster Stakes Unlock",
-	"no laughing matter",
-	"Tetrapak",
-	"Item Remover",
-	"Tesseract",
-	"Drafting",
-	"High Card Mod",
-	// "Emporium",
-	// "Seals On Everything",
-	"JokerHub",
-	"Challenger Deep",
-	"Aura",
-	"Blind Expander",
-	// "DebugPlus",
-	"platonatro",
-	"Highest Priestess",
-	"Balatro: Star Rail",
-	"Dread Jokers",
-	"The Dread Jokers",
-	// "Too Many Decks",
-	"Balatro Hevven",
-	"FickleFox",
-	"Next Ante Preview",
-	// "Victin's Collection",
-	"Handsome Devils",
-	"VanillaRemade",
-	"Bmwallet",
-	"Bmmanualtags",
-	"UnStable",
-	"UnStableEX",
-	"Card Exporter",
-	"Balabench",
-	"All in Jest",
-	// "ExtraCredit"
-	"balacomp",
-	"Custom Suit Order",
-	"Balafuzz",
-	// "Buffoonery",
-	// "Aikoyori's Shenanigans",
-	"Yahimod",
-	"rcBLib",
-	"rcBalatro"
-];
-
-// Mods that are always considered fine (won't be tested)
-const {
-	errors: { NotFound },
-	readTextFile,
-	remove,
-	writeTextFile
-} = Deno;
-
-const fineModsFileName = "fine-mods.json";
+import {
+	abortSession,
+	appendStep,
+	applyModConfiguration,
+	categorizeMods,
+	checkConfiguration,
+	createInitialSuspicion,
+	createOracle,
+	createTestSettings,
+	ddmin,
+	defaultLoaderDirectory,
+	defaultPackConfigPath,
+	defaultSessionPath,
+	defaultStepLogPath,
+	deleteSession,
+	enforceModRules,
+	findConclusion,
+	findSharedToggleDirectories,
+	getSuspicionAfterAnswer,
+	holdModsOutsideScope,
+	initializeMods,
+	mods,
+	preflight,
+	readLoaderVersion,
+	readPackLists,
+	readSession,
+	reconsiderFineMods,
+	recordAnswer,
+	repeatWhilePassing,
+	replayStepLog,
+	resolveScope,
+	saveListedMods,
+	splitAfterFailure,
+	splitAfterPass,
+	startSession,
+	writeSession
+} from "./_common/_exports.js";
 
 /**
- * Load fine mods from file
- *
- * @returns {Promise<Array<string>>} - A promise that resolves to an array of fine mod names.
- * @example
- * const fineMods = await loadFineMods();
- * console.log(fineMods);
+ * @typedef {import("./_common/bisection-mods.js").BisectionModSets} BisectionModSets
+ * @typedef {import("./_common/bisection-mods.js").CategorizedMods} CategorizedMods
+ * @typedef {import("./_common/bisection-oracle.js").OracleCommandOptions} OracleCommandOptions
+ * @typedef {import("./_common/bisection-oracle.js").TestCommandOptions} TestCommandOptions
+ * @typedef {import("./_common/bisection-oracle.js").TestSettings} TestSettings
+ * @typedef {import("./_common/bisection-session.js").BisectionSession} BisectionSession
+ * @typedef {import("./_common/bisection-session.js").BisectionSets} BisectionSets
+ * @typedef {import("./_common/ddmin.js").TestOutcome} TestOutcome
+ * @typedef {import("./_common/mod-scope.js").ScopeOptions} ScopeOptions
+ * @typedef {import("./_common/pack-config.js").PackListNames} PackListNames
+ * @typedef {import("./_common/pack-config.js").PackLists} PackLists
+ * @typedef {import("./_common/suspicion.js").Suspicion} Suspicion
  */
-const loadFineMods = async () => {
-	try {
-		const data = await readTextFile(fineModsFileName);
 
-		return JSON.parse(data);
-	}
-	catch (error) {
-		if (error instanceof NotFound) {
-			return [];
-		}
-		console.error("Error loading fine mods:", error);
+// Mods that are always considered fine (won't be tested) or problematic (will always be disabled),
+// from the lists of the pack config
+/** @type {PackLists} */
+let packLists = {
+	alwaysDisabledMods: [],
+	alwaysFineMods: [],
+	otherFineMods: []
+};
 
-		return [];
-	}
+// Where the mods confirmed to be fine are saved
+/** @type {{configPath: string, listName: string}} */
+let fineModsList = {
+	configPath: defaultPackConfigPath,
+	listName: "fine"
 };
 
+// The installed Steamodded version, read from the smods checkout; version bounds of mods aren't checked without it
+/** @type {string|null} */
+let loaderVersion = null;
+
+const { args, exit } = Deno;
+
 /**
- * Save fine mods to file
+ * Save the mods confirmed to be fine to the list of the pack config the search updates,
+ * leaving out the ones that come from other lists
  *
- * @param {Set<string>} fineMods - Set of fine mod names
- * @returns {Promise<void>}
+ * @param {Set<string>} fineMods - Set of mod names confirmed to be fine
+ * @returns {Promise<void>} A promise that resolves when the list is saved
  * @example
- * await saveFineMods(new Set(["Mod1", "Mod2"]));
+ * // Remember the fine mods for the next search
+ * await saveFineMods(updatedFineMods);
  */
-const saveFineMods = async (fineMods) => {
-	try {
-		await writeTextFile(fineModsFileName, JSON.stringify([...fineMods]));
-	}
-	catch (error) {
-		console.error("Error saving fine mods:", error);
-	}
-};
+const saveFineMods = (fineMods) => saveListedMods(
+	fineModsList.configPath,
+	fineModsList.listName,
+	[...fineMods].filter((modName) => !packLists.otherFineMods.includes(modName)),
+	"Ran fine in a binary search"
+);
+
+/**
+ * How many of the most suspicious mods the status lists
+ */
+const MAX_LISTED_SUSPECTS = 5;
 
 /**
- * Shuffle an array in-place using Fisher-Yates algorithm
+ * Display the current status of mods
  *
- * @template T
- * @param {Array<T>} array - Array to shuffle
- * @returns {Array<T>} The same array, now shuffled
+ * @param {typeof mods} allMods - Array of all mod objects
+ * @param {Set<string>} enabledMods - Set of enabled mod names
+ * @param {Set<string>} fineMods - Set of mod names confirmed to be fine
+ * @param {Suspicion} suspicion - How likely each mod is to cause the problem
  * @example
- * const cards = [1, 2, 3, 4, 5];
- * shuffleArray(cards);
- * // cards is now randomly reordered, e.g. [3, 1, 5, 2, 4]
+ * // Show the status before asking about the configuration
+ * displayModStatus(allMods, enabledMods, fineMods, suspicion);
  */
-const shuffleArray = (array) => {
-	for (let index = array.length - 1; index > 0; index--) {
-		const randomIndex = Math.floor(Math.random() * (index + 1));
+const displayModStatus = (allMods, enabledMods, fineMods, suspicion) => {
+	const { disabledMods, enabledNonFineMods } = categorizeMods(allMods, {
+		enabledMods,
+		fineMods
+	}, packLists);
 
-		[array[index], array[randomIndex]] = [array[randomIndex], array[index]];
-	}
+	const suspects = Object.entries(suspicion)
+		.filter(([, score]) => score > 0)
+		.toSorted(([, scoreA], [, scoreB]) => scoreB - scoreA)
+		.slice(0, MAX_LISTED_SUSPECTS)
+		.map(([modName, score]) => `${modName} (${score.toLocaleString("en", { style: "percent" })})`);
+
+	// Display mod status
+	console.info("TESTING STATUS:");
+	console.info(`- Fine mods (confirmed good): ${[...fineMods].join(", ") || "None"}`);
+	console.info(
+		`- Enabled mods that need testing: ${
+			enabledNonFineMods.map((mod) => mod.name).join(", ") || "None"
+		}`
+	);
+	console.info(
+		`- Disabled mods: ${disabledMods.map((mod) => mod.name).join(", ") || "None"}`
+	);
 
-	return array;
+	console.info(`- Most suspicious mods: ${suspects.join(", ") || "None"}`);
+
+	if (packLists.alwaysDisabledMods.length > 0) {
+		console.info(`- Always disabled mods: ${packLists.alwaysDisabledMods.join(", ")}`);
+	}
 };
 
 /**
- * Helper function to write .lovelyignore file to disable mods
+ * Warn about enabled mods Steamodded is going to refuse to load with the current configuration
  *
- * @param {typeof mods} modList - Array of mod objects
- * @returns {Promise<void>} A promise that resolves when all files are written
+ * @param {typeof mods} allMods - Array of all mod objects
+ * @param {Set<string>} enabledMods - Set of enabled mod names
  * @example
- * // Disable a list of mods by creating .lovelyignore files
- * await writeLovelyIgnore(modsToDisable);
+ * // Warn before asking the user to launch the game
+ * warnAboutRefusedMods(allMods, enabledMods);
  */
-const writeLovelyIgnore = async (modList) => {
-	for (const mod of modList) {
-		const modDirectory = dirname(mod.path);
-		const filePath = `${modDirectory}/.lovelyignore`;
-
-		await writeTextFile(filePath, "");
+const warnAboutRefusedMods = (allMods, enabledMods) => {
+	const { refusedMods } = preflight(allMods, {
+		enabledMods: allMods.filter((mod) => enabledMods.has(mod.name)),
+		loaderVersion
+	});
+
+	for (const { message, mod } of refusedMods) {
+		console.warn(`Warning: ${mod.name} won't load: ${message}`);
 	}
 };
 
 /**
- * Helper function to remove .lovelyignore file to enable mods
+ * Handle the user choosing to reset the search: every mod except the always fine ones is disabled
+ * and the fine mods list is cleared. The next step applies the configuration
  *
- * @param {typeof mods} modList - Array of mod objects
- * @returns {Promise<void>} A promise that resolves when all files are removed
+ * @param {typeof mods} allMods - Array of all mod objects
+ * @returns {{enabledMods: Set<string>, fineMods: Set<string>, suspicion: Suspicion}} - Reset sets and scores
  * @example
- * // Enable a list of mods by removing their .lovelyignore files
- * await removeLovelyIgnore(modsToEnable);
+ * // Reset the search by disabling most mods and clearing fine mods list
+ * const { enabledMods, fineMods } = handleReset(allMods);
  */
-const removeLovelyIgnore = async (modList) => {
-	for (const mod of modList) {
-		const modDirectory = dirname(mod.path);
-		const filePath = `${modDirectory}/.lovelyignore`;
+const handleReset = (allMods) => {
+	console.info("Resetting - disabling mods and clearing fine mods list (except always-fine mods)");
 
-		try {
-			await remove(filePath);
-		}
-		catch (error) {
-			if (!(error instanceof NotFound)) {
-				console.error(`Error removing ${filePath}:`, error);
-			}
-		}
-	}
+	const fineMods = new Set(packLists.alwaysFineMods);
+
+	return {
+		enabledMods: new Set(packLists.alwaysFineMods),
+		fineMods,
+		suspicion: createInitialSuspicion(allMods, fineMods, packLists.alwaysDisabledMods)
+	};
 };
 
 /**
- * Check if a mod is currently disabled by looking for .lovelyignore file
+ * Handle the user choosing to undo their last answer
  *
- * @param {typeof mods[number]} mod - The mod object to check
- * @returns {Promise<boolean>} True if the mod is disabled, false otherwise
+ * @param {Array<BisectionSets>} history - The sets before each answer that can be undone, the latest one last
+ * @returns {{enabledMods: Set<string>, fineMods: Set<string>, suspicion?: Suspicion}|null} The sets before the last answer, or null if there is nothing to undo
  * @example
- * // Check if a specific mod is disabled
- * const isDisabled = await isModDisabled(someMod);
- * console.log(isDisabled ? "Mod is disabled" : "Mod is enabled");
+ * // Go back to the configuration before the last answer
+ * const updatedSets = handleUndo(session.history);
  */
-const isModDisabled = async (mod) => {
-	const modDirectory = dirname(mod.path);
-	const ignorePath = `${modDirectory}/.lovelyignore`;
+const handleUndo = (history) => {
+	const previousSets = history.at(-1);
+
+	if (previousSets === undefined) {
+		console.info("There is no answer to undo.");
 
-	return await exists(ignorePath);
+		return null;
+	}
+
+	console.info("Undoing the last answer - going back to the previous configuration");
+
+	return {
+		enabledMods: new Set(previousSets.enabledMods),
+		fineMods: new Set(previousSets.fineMods),
+		...(previousSets.suspicion === undefined ? {} : { suspicion: previousSets.suspicion })
+	};
 };
 
 /**
- * Initialize the sets of enabled and fine mods
+ * Handle user response and update mod sets accordingly
  *
- * @param {typeof mods} allMods - Array of all mod objects
- * @returns {Promise<{enabledMods: Set<string>, fineMods: Set<string>}>} Sets of enabled and fine mod names
+ * @param {string} userResponse - User's response (y/n/u/r)
+ * @param {typeof mods} allMods - Complete collection of mod objects available in the system
+ * @param {BisectionModSets} sets - The enabled mods and the ones verified to not cause any problems
+ * @param {CategorizedMods} testedMods - The disabled mods and the enabled ones that still need testing
+ * @param {Array<BisectionSets>} history - The sets before each answer that can be undone
+ * @returns {{shouldContinue: boolean, updatedSets: {enabledMods: Set<string>, fineMods: Set<string>, suspicion?: Suspicion}}} Object containing whether to continue and updated mod sets
  * @example
- * // Initialize the enabled and fine mods sets
- * const { enabledMods, fineMods } = await initializeMods(allMods);
+ * // Process user's response and get updated mod settings
+ * const { shouldContinue, updatedSets } = processUserResponse(userResponse, allMods, sets, testedMods, session.history);
  */
-const initializeMods = async (allMods) => {
-	// Initialize with always-fine mods
-	const fineMods = new Set(alwaysFineMods);
-	const enabledMods = new Set();
-
-	// Check which mods are actually enabled when starting
-	for (const mod of allMods) {
-		// Only add to enabled if it's not disabled and not in the always-disabled list
-		if ((!(await isModDisabled(mod)) || alwaysFineMods.includes(mod.name)) &&
-			!alwaysDisabledMods.includes(mod.name)) {
-			enabledMods.add(mod.name);
-		}
-	}
-
-	// Force enable the always-fine mods
-	for (const modName of alwaysFineMods) {
-		enabledMods.add(modName);
+const processUserResponse = (userResponse, allMods, sets, testedMods, history) => {
+	let updatedSets = null;
+	let shouldContinue = true;
 
-		// Also remove any .lovelyignore files for always-fine mods
-		const mod = allMods.find((currentMod) => currentMod.name === modName);
+	switch (userResponse.toLowerCase()) {
+		case "n":
+		case "no":
+			updatedSets = splitAfterFailure(
+				allMods,
+				sets,
+				testedMods.enabledNonFineMods,
+				packLists
+			);
+			break;
 
-		if (mod) {
-			await removeLovelyIgnore([mod]);
-		}
-	}
+		case "r":
+			updatedSets = handleReset(allMods);
+			break;
 
-	// Force disable the always-disabled mods
-	for (const modName of alwaysDisabledMods) {
-		enabledMods.delete(modName);
+		case "u":
+		case "undo":
+			updatedSets = handleUndo(history);
+			shouldContinue = updatedSets !== null;
+			break;
 
-		// Also add .lovelyignore files for always-disabled mods
-		const mod = allMods.find((currentMod) => currentMod.name === modName);
+		case "y":
+		case "yes":
+			updatedSets = splitAfterPass(allMods, sets, testedMods, packLists);
+			break;
 
-		if (mod) {
-			await writeLovelyIgnore([mod]);
-		}
+		default:
+			console.info("Invalid response. Please answer 'y', 'n', 'u', or 'r'.");
+			shouldContinue = false;
 	}
 
 	return {
-		enabledMods,
-		fineMods
+		shouldContinue,
+		updatedSets: updatedSets ?? sets
 	};
 };
 
 /**
- * Display the current status of mods
+ * Warn about shared toggle directories and detect the current mod state,
+ * or take it from the session being resumed
  *
  * @param {typeof mods} allMods - Array of all mod objects
- * @param {Set<string>} enabledMods - Set of enabled mod names
- * @param {Set<string>} fineMods - Set of mod names confirmed to be fine
- * @returns {{disabledMods: Array<{name: string}>, enabledNonFineMods: Array<{name: string}>}} Lists of disabled and enabled non-fine mods
+ * @param {BisectionSession|null} session - The session being resumed, if any
+ * @returns {Promise<{enabledMods: Set<string>, fineMods: Set<string>}>} Sets of enabled and fine mod names
  * @example
- * // Show status and get lists of mods
- * const { disabledMods, enabledNonFineMods } = displayModStatus(allMods, enabledMods, fineMods);
+ * // Prepare the mod state before starting a search
+ * const { enabledMods, fineMods } = await prepareModState(allMods, null);
  */
-const displayModStatus = (allMods, enabledMods, fineMods) => {
-	// Get all enabled mods that aren't marked as "fine"
-	const enabledNonFineMods = allMods.filter(
-		(mod) => enabledMods.has(mod.name) && !fineMods.has(mod.name)
-	);
-
-	// Get all disabled mods (excluding always-disabled mods)
-	const disabledMods = allMods.filter(
-		(mod) => !enabledMods.has(mod.name) && !alwaysDisabledMods.includes(mod.name)
-	);
+const prepareModState = async (allMods, session) => {
+	// Mods sharing a toggle directory can only be enabled and disabled together
+	for (const { mods: modsInDirectory, toggleDirectory } of findSharedToggleDirectories(allMods)) {
+		console.warn(`${toggleDirectory} is shared by ${modsInDirectory.map(({ name }) => name).join(", ")}, they are always toggled together`);
+	}
 
-	// Display mod status
-	console.info("TESTING STATUS:");
-	console.info(`- Fine mods (confirmed good): ${[...fineMods].join(", ") || "None"}`);
-	console.info(
-		`- Enabled mods that need testing: ${
-			enabledNonFineMods.map((mod) => mod.name).join(", ") || "None"
-		}`
-	);
-	console.info(
-		`- Disabled mods: ${disabledMods.map((mod) => mod.name).join(", ") || "None"}`
-	);
+	if (session !== null) {
+		console.info(`Resuming the ${session.mode} session at step ${session.step} - run "deno task binary-search abort" to start over.`);
 
-	if (alwaysDisabledMods.length > 0) {
-		console.info(`- Always disabled mods: ${alwaysDisabledMods.join(", ")}`);
+		return {
+			enabledMods: new Set(session.enabledMods),
+			fineMods: new Set(session.fineMods)
+		};
 	}
 
-	return {
-		disabledMods,
-		enabledNonFineMods
-	};
+	return await initializeMods(allMods, packLists);
+};
+
+/**
+ * The binary search answer each conclusive test outcome stands for
+ */
+const answersByOutcome = {
+	fail: "n",
+	pass: "y"
 };
 
 /**
- * Apply the current mod configuration by updating .lovelyignore files
+ * Check a configuration with the oracle, exiting if the oracle can't be run.
+ * The session is kept, so the search continues from this configuration once the oracle is fixed
  *
- * @param {typeof mods} allMods - Array of all mod objects
+ * @param {TestSettings} settings - The oracle and how often a pass is repeated
  * @param {Set<string>} enabledMods - Set of enabled mod names
- * @returns {Promise<void>} A promise that resolves when configuration is applied
+ * @returns {Promise<TestOutcome>} The outcome of the test
  * @example
- * // Apply the current configuration to enable/disable mods
- * await applyModConfiguration(allMods, enabledMods);
+ * const outcome = await checkWithOracle(settings, enabledMods);
  */
-const applyModConfiguration = async (allMods, enabledMods) => {
-	const modsToEnable = allMods.filter((mod) => enabledMods.has(mod.name));
-	const modsToDisable = allMods.filter((mod) => !enabledMods.has(mod.name));
+const checkWithOracle = async (settings, enabledMods) => {
+	try {
+		return await checkConfiguration(settings, enabledMods);
+	}
+	catch (error) {
+		console.error(error instanceof Error ? error.message : error);
 
-	await removeLovelyIgnore(modsToEnable);
-	await writeLovelyIgnore(modsToDisable);
+		return exit(1);
+	}
 };
 
 /**
- * Handle the user saying the game ran without problems
+ * Get the answer for the current binary search step, from the oracle if there is one or by asking the user otherwise.
+ * When the oracle can't tell, the search stops, keeping the session so the user can answer for the configuration
  *
- * @param {typeof mods} allMods - Array of all mod objects
+ * @param {TestSettings} settings - Who decides and how often a pass is repeated
  * @param {Set<string>} enabledMods - Set of enabled mod names
- * @param {Set<string>} fineMods - Set of mod names confirmed to be fine
- * @param {Array<{name: string}>} enabledNonFineMods - Array of enabled mods that aren't in fineMods
- * @param {Array<{name: string}>} disabledMods - Array of disabled mods
- * @returns {{enabledMods: Set<string>, fineMods: Set<string>}} - Updated sets
+ * @returns {Promise<string>} The answer, "y", "n", "u" or "r"
  * @example
- * // Handle the case when the game runs fine with the current mods
- * const updatedSets = handleGameRanFine(allMods, enabledMods, fineMods, enabledNonFineMods, disabledMods);
- * // Apply the updated sets and continue testing
+ * const userResponse = await askForAnswer(settings, enabledMods);
  */
-const handleGameRanFine = (allMods, enabledMods, fineMods, enabledNonFineMods, disabledMods) => {
-	// Clone the sets to avoid modifying the originals
-	const updatedFineMods = new Set(fineMods);
-	const updatedEnabledMods = new Set(enabledMods);
-
-	// 1. Mark all enabled non-fine mods as "fine"
-	for (const mod of enabledNonFineMods) {
-		updatedFineMods.add(mod.name);
+const askForAnswer = async (settings, enabledMods) => {
+	if (settings.oracle === null) {
+		return await repeatWhilePassing(
+			settings.runCount,
+			() => Input.prompt({
+				default: "y",
+				message: "Did the game run fine? (y/n/u - undo/r - reset)"
+			}),
+			(answer) => ["y", "yes"].includes(answer.toLowerCase())
+		);
 	}
 
-	// 2. Enable half of the disabled mods (if any) - now randomly selected
-	if (disabledMods.length > 0) {
-		const halfCount = Math.ceil(disabledMods.length / 2);
-		const modsToEnable = shuffleArray([...disabledMods]).slice(0, halfCount);
+	const outcome = await checkWithOracle(settings, enabledMods);
 
-		for (const mod of modsToEnable) {
-			// Don't enable always-disabled mods
-			if (!alwaysDisabledMods.includes(mod.name)) {
-				updatedEnabledMods.add(mod.name);
-			}
-		}
-	}
+	if (outcome === "unresolved") {
+		console.error("The oracle can't tell whether the game runs fine with this configuration, stopping the search. Run \"deno task binary-search\" without --oracle to answer yourself and continue, or \"deno task binary-search abort\" to start over.");
 
-	// Save fine mods to file
-	saveFineMods(updatedFineMods);
+		return exit(1);
+	}
 
-	return {
-		enabledMods: updatedEnabledMods,
-		fineMods: updatedFineMods
-	};
+	return answersByOutcome[outcome];
 };
 
 /**
- * Handle the user saying the game had problems
+ * Delta debugging to reduce the currently enabled mods, which are assumed to fail,
+ * to a minimal combination that still fails. Resuming a session replays its answers first.
  *
- * @param {typeof mods} allMods - Array of all mod objects
- * @param {Set<string>} enabledMods - Set of enabled mod names
- * @param {Set<string>} fineMods - Set of mod names confirmed to be fine
- * @param {Array<{name: string}>} enabledNonFineMods - Array of enabled non-fine mods to consider disabling
- * @returns {{enabledMods: Set<string>, fineMods: Set<string>}} Updated sets with half of non-fine mods disabled
+ * @param {BisectionSession|null} session - The session to resume, if any
+ * @param {TestSettings} settings - Who decides and how often a pass is repeated
+ * @param {string[]|null} scopeMods - Names of the mods a new session covers, null for every mod
  * @example
- * // Process when user reports the game had issues with current mods
- * const updatedSets = handleGameHadProblems(allMods, enabledMods, fineMods, enabledNonFineMods);
+ * // Find the smallest group of mods that still makes the game fail together
+ * await deltaDebugMods(null, settings, null);
  */
-const handleGameHadProblems = (allMods, enabledMods, fineMods, enabledNonFineMods) => {
-	// Clone the sets to avoid modifying the originals
-	const updatedEnabledMods = new Set(enabledMods);
-
-	// Disable half of the enabled non-fine mods (except always-fine mods)
-	if (enabledNonFineMods.length > 0) {
-		const halfCount = Math.ceil(enabledNonFineMods.length / 2);
-		const modsToDisable = shuffleArray([...enabledNonFineMods]).slice(0, halfCount);
-
-		for (const mod of modsToDisable) {
-			if (!alwaysFineMods.includes(mod.name)) {
-				updatedEnabledMods.delete(mod.name);
-			}
-		}
+const deltaDebugMods = async (session, settings, scopeMods) => {
+	const allMods = [...mods];
+	const { enabledMods, fineMods } = await prepareModState(allMods, session);
+
+	// Fine mods stay enabled in every configuration, only the others are suspects
+	const suspectMods = session?.suspectMods
+		? session.suspectMods.flatMap((modName) => allMods.filter((mod) => mod.name === modName))
+		: allMods.filter(
+			(mod) => enabledMods.has(mod.name) && !packLists.alwaysFineMods.includes(mod.name)
+		);
+
+	// Remember the mod state from before the session ahead of the first test, so it can be restored on abort
+	const startedSession = session ?? await startSession(allMods, "ddmin", {
+		alwaysFineMods: packLists.alwaysFineMods,
+		enabledMods: [...enabledMods],
+		fineMods: [...fineMods],
+		scopeMods,
+		suspectMods: suspectMods.map((mod) => mod.name)
+	});
+
+	const answers = [...(session?.answers ?? [])];
+
+	let replayedCount = 0;
+
+	if (session === null) {
+		console.info(`Starting delta debugging - reducing ${suspectMods.length} enabled mods to a minimal failing combination...`);
 	}
 
-	return {
-		enabledMods: updatedEnabledMods,
-		fineMods: new Set(fineMods)
-	};
+	const reduction = await ddmin(suspectMods, async (configuration) => {
+		// ddmin asks for the same configurations in the same order, so earlier answers can be replayed
+		if (replayedCount < answers.length) {
+			replayedCount += 1;
+
+			return /** @type {TestOutcome} */ (answers[replayedCount - 1]);
+		}
+
+		const configurationMods = enforceModRules(
+			allMods,
+			new Set(configuration.map((mod) => mod.name)),
+			packLists
+		);
+
+		await applyModConfiguration(allMods, configurationMods);
+
+		warnAboutRefusedMods(allMods, configurationMods);
+
+		console.info(`Testing ${configuration.length} of ${suspectMods.length} suspects: ${configuration.map((mod) => mod.name).join(", ")}`);
+
+		const outcome = await checkWithOracle(settings, configurationMods);
+
+		answers.push(outcome);
+		replayedCount += 1;
+
+		await appendStep(defaultStepLogPath, {
+			answer: outcome,
+			enabledMods: [...configurationMods],
+			mode: "ddmin",
+			step: answers.length,
+			timestamp: new Date().toISOString()
+		});
+
+		await writeSession(defaultSessionPath, {
+			...startedSession,
+			answers,
+			enabledMods: [...configurationMods],
+			fineMods: [...fineMods],
+			step: answers.length,
+			suspectMods: suspectMods.map((mod) => mod.name)
+		});
+
+		return outcome;
+	});
+
+	await deleteSession(defaultSessionPath);
+
+	console.info(reduction.reproduced
+		? `Minimal failing combination after ${reduction.testCount} tests: ${reduction.minimalItems.map((mod) => mod.name).join(", ")}`
+		: `The game ran fine with all ${suspectMods.length} suspects enabled, so there is no failing combination to reduce.`);
 };
 
 /**
- * Handle the user choosing to reset the search
+ * @typedef {object} BinarySearchState
+ * @property {Set<string>} enabledMods - Set of enabled mod names
+ * @property {Set<string>} fineMods - Set of mod names confirmed to be fine
+ * @property {Suspicion} suspicion - How likely each mod is to cause the problem
+ * @property {BisectionSession} session - The session after the latest answer
+ * @property {string|null} conclusion - What the search found, or null if it isn't over yet
+ */
+
+/**
+ * Run one step of the binary search: apply the current configuration, get the answer for it,
+ * update the sets and scores accordingly and save the session
  *
  * @param {typeof mods} allMods - Array of all mod objects
- * @returns {Promise<{enabledMods: Set<string>, fineMods: Set<string>}>} - Reset sets
+ * @param {BinarySearchState} state - The state before the step
+ * @param {TestSettings} settings - Who decides and how often a pass is repeated
+ * @returns {Promise<BinarySearchState>} The state after the step
  * @example
- * // Reset the search by disabling most mods and clearing fine mods list
- * const { enabledMods, fineMods } = await handleReset(allMods);
- * // Apply the reset configuration and continue testing
+ * state = await runBinarySearchStep(allMods, state, settings);
  */
-const handleReset = async (allMods) => {
-	console.info("Resetting - disabling mods and clearing fine mods list (except always-fine mods)");
-
-	const fineMods = new Set(alwaysFineMods);
-	const enabledMods = new Set(alwaysFineMods);
+const runBinarySearchStep = async (allMods, state, settings) => {
+	const { enabledMods, session } = state;
+
+	// Apply the current configuration
+	await applyModConfiguration(allMods, enabledMods);
+
+	warnAboutRefusedMods(allMods, enabledMods);
+
+	displayModStatus(allMods, enabledMods, state.fineMods, state.suspicion);
+
+	// Get user response, every answer is logged and saved as its first letter, "yes" as "y" and "undo" as "u"
+	const userResponse = await askForAnswer(settings, enabledMods);
+	const answer = userResponse.toLowerCase().charAt(0);
+
+	// A failure can show that a mod was marked fine by mistake
+	const {
+		fineMods,
+		retestedMods,
+		suspicion
+	} = answer === "n"
+		? reconsiderFineMods(state, packLists.alwaysFineMods)
+		: {
+			...state,
+			retestedMods: []
+		};
+
+	if (retestedMods.length > 0) {
+		console.info(`The game failed without suspicious mods, testing these again: ${retestedMods.join(", ")}`);
+	}
 
-	// Disable all mods except always-fine mods
-	const modsToDisable = allMods.filter(
-		(mod) => !alwaysFineMods.includes(mod.name) || alwaysDisabledMods.includes(mod.name)
+	const sets = {
+		enabledMods,
+		fineMods
+	};
+	const testedMods = categorizeMods(allMods, sets, packLists);
+
+	// Process the response
+	const { shouldContinue, updatedSets } = processUserResponse(
+		userResponse,
+		allMods,
+		sets,
+		testedMods,
+		session.history ?? []
 	);
 
-	await writeLovelyIgnore(modsToDisable);
+	if (!shouldContinue) {
+		return state;
+	}
 
-	// Make sure always-fine mods are enabled (and always-disabled mods stay disabled)
-	const modsToEnable = allMods.filter(
-		(mod) => alwaysFineMods.includes(mod.name) && !alwaysDisabledMods.includes(mod.name)
-	);
+	// Only an accepted answer changes the saved fine mods, undoing one makes the file forget what it marked as fine
+	if (updatedSets.fineMods.symmetricDifference(state.fineMods).size > 0) {
+		await saveFineMods(updatedSets.fineMods);
+	}
 
-	await removeLovelyIgnore(modsToEnable);
+	// Enforce mod rules
+	const updatedEnabledMods = enforceModRules(allMods, updatedSets.enabledMods, packLists);
+	const updatedSuspicion = getSuspicionAfterAnswer(answer, {
+		enabledMods,
+		suspicion,
+		updatedSets
+	}, settings);
 
 	return {
-		enabledMods,
-		fineMods
+		// Nobody is watching an oracle, so it has to be told when to stop
+		conclusion: settings.oracle === null
+			? null
+			: findConclusion(answer, {
+				...testedMods,
+				suspicion: updatedSuspicion
+			}, settings.confidence),
+		enabledMods: updatedEnabledMods,
+		fineMods: updatedSets.fineMods,
+		session: await recordAnswer(
+			session,
+			answer,
+			{
+				enabledMods: [...enabledMods],
+				fineMods: [...state.fineMods],
+				suspicion: state.suspicion
+			},
+			{
+				enabledMods: updatedEnabledMods,
+				fineMods: updatedSets.fineMods,
+				suspicion: updatedSuspicion
+			}
+		),
+		suspicion: updatedSuspicion
 	};
 };
 
 /**
- * Handle user response and update mod sets accordingly
+ * Simplified binary search to find problematic mods. The session is saved after every answer.
+ * With an oracle, the search stops by itself once it is over.
  *
- * @param {string} userResponse - User's response (y/n/r)
- * @param {typeof mods} allMods - Complete collection of mod objects available in the system
- * @param {Set<string>} enabledMods - Currently enabled mods
- * @param {Set<string>} fineMods - Collection of mod names that have been verified to not cause any problems
- * @param {Array<{name: string}>} enabledNonFineMods - Active mods that still need testing because they haven't been confirmed as working properly
- * @param {Array<{name: string}>} disabledMods - List of mods currently excluded from the game that may be re-enabled in subsequent testing iterations
- * @returns {Promise<{shouldContinue: boolean, updatedSets: {enabledMods: Set<string>, fineMods: Set<string>}}>} Object containing whether to continue and updated mod sets
+ * @param {BisectionSession|null} session - The session to resume, if any
+ * @param {TestSettings} settings - Who decides and how often a pass is repeated
+ * @param {string[]|null} scopeMods - Names of the mods a new session covers, null for every mod
  * @example
- * // Process user's response and get updated mod settings
- * const { shouldContinue, updatedSets } = await processUserResponse(
- *   userResponse, allMods, enabledMods, fineMods, enabledNonFineMods, disabledMods
- * );
+ * // Run the binary search algorithm to find problematic mods
+ * await binarySearchMods(null, settings, null);
  */
-const processUserResponse = async (
-	userResponse,
-	allMods,
-	enabledMods,
-	fineMods,
-	enabledNonFineMods,
-	disabledMods
-) => {
-	let updatedSets;
-	let shouldContinue = true;
-
-	switch (userResponse.toLowerCase()) {
-		case "n":
-		case "no":
-			updatedSets = handleGameHadProblems(
-				allMods,
-				enabledMods,
-				fineMods,
-				enabledNonFineMods
-			);
-			break;
+const binarySearchMods = async (session, settings, scopeMods) => {
+	// Get all mods
+	const allMods = [...mods];
 
-		case "r":
-			updatedSets = await handleReset(allMods);
-			break;
+	// Initialize enabled and fine mods
+	const { enabledMods, fineMods } = await prepareModState(allMods, session);
+
+	// Remember the mod state from before the session ahead of the first configuration, so it can be restored on abort
+	const startedSession = session ?? await startSession(allMods, "bisect", {
+		alwaysFineMods: packLists.alwaysFineMods,
+		enabledMods: [...enabledMods],
+		fineMods: [...fineMods],
+		scopeMods
+	});
+
+	if (session === null) {
+		console.info("Starting binary search - detected current mod state...");
+	}
 
-		case "y":
-		case "yes":
-			updatedSets = handleGameRanFine(
-				allMods,
-				enabledMods,
-				fineMods,
-				enabledNonFineMods,
-				disabledMods
-			);
-			break;
+	/** @type {BinarySearchState} */
+	let state = {
+		conclusion: null,
+		// The starting configuration has to follow the same rules as every later one
+		enabledMods: enforceModRules(allMods, enabledMods, packLists),
+		fineMods,
+		session: startedSession,
+		suspicion: session?.suspicion ??
+			createInitialSuspicion(allMods, fineMods, packLists.alwaysDisabledMods)
+	};
 
-		default:
-			console.info("Invalid response. Please answer 'y', 'n', or 'r'.");
-			shouldContinue = false;
-			updatedSets = {
-				enabledMods,
-				fineMods
-			};
+	while (state.conclusion === null) {
+		state = await runBinarySearchStep(allMods, state, settings);
 	}
 
-	return {
-		shouldContinue,
-		updatedSets
-	};
+	await deleteSession(defaultSessionPath);
+
+	console.info(state.conclusion);
 };
 
 /**
- * Ensure correct mod state after updates
+ * Load the always fine and always disabled mods from the lists of the pack config picked on the command line
  *
- * @param {Set<string>} enabledMods - Set of enabled mod names
- * @returns {Set<string>} Updated set of enabled mod names with all rules enforced
+ * @param {string} configPath - Location of the pack config
+ * @param {PackListNames} listNames - The lists picked on the command line
+ * @returns {Promise<void>} A promise that resolves when the lists are loaded
  * @example
- * // Always enforce mod rules after updating the enabled mods set
- * enabledMods = enforceModRules(enabledMods);
+ * // Also treat the mods without content as fine
+ * await loadPackLists("pack-config.json", {
+ *   disabledListNames: [],
+ *   fineListNames: ["fine-non-content"],
+ *   saveListName: "fine"
+ * });
  */
-const enforceModRules = (enabledMods) => {
-	const updatedEnabledMods = new Set(enabledMods);
-
-	// Always ensure the always-fine mods are in the enabled list
-	// and always-disabled mods are not in the enabled list
-	for (const modName of alwaysFineMods) {
-		if (!alwaysDisabledMods.includes(modName)) {
-			updatedEnabledMods.add(modName);
-		}
+const loadPackLists = async (configPath, listNames) => {
+	try {
+		packLists = await readPackLists(configPath, listNames);
+		fineModsList = {
+			configPath,
+			listName: listNames.saveListName
+		};
 	}
+	catch (error) {
+		console.error(
+			`Error loading the pack config ${configPath}:`,
+			error instanceof Error ? error.message : error
+		);
 
-	for (const modName of alwaysDisabledMods) {
-		updatedEnabledMods.delete(modName);
+		exit(1);
 	}
-
-	return updatedEnabledMods;
 };
 
 /**
- * Simplified binary search to find problematic mods
+ * Work out which mods the search covers and hold the ones outside of it in their current state,
+ * exiting if the scope can't be resolved or leaves mods in scope that can never load
  *
+ * @param {BisectionSession|null} session - The session being resumed, if any
+ * @param {ScopeOptions} options - The scope command line options
+ * @returns {Promise<Array<string>|null>} Names of the mods in scope, or null if the search covers every mod
  * @example
- * // Run the binary search algorithm to find problematic mods
- * await binarySearchMods();
+ * const scopeMods = await loadScope(session, {
+ *   authors: [],
+ *   dependsOn: ["Talisman"],
+ *   filePath: undefined,
+ *   names: []
+ * });
  */
-const binarySearchMods = async () => {
-	// Get all mods
-	const allMods = [...mods];
+const loadScope = async (session, options) => {
+	try {
+		const scopeMods = await resolveScope([...mods], session, options);
 
-	// Load fine mods from file
-	const loadedFineMods = await loadFineMods();
+		if (scopeMods === null) {
+			return null;
+		}
 
-	alwaysFineMods = [...new Set([...alwaysFineMods, ...loadedFineMods])];
+		const heldMods = await holdModsOutsideScope([...mods], scopeMods, packLists);
 
-	// Initialize enabled and fine mods
-	let { enabledMods, fineMods } = await initializeMods(allMods);
+		packLists.alwaysDisabledMods.push(...heldMods.disabledMods);
+		packLists.alwaysFineMods.push(...heldMods.fineMods);
+		packLists.otherFineMods.push(...heldMods.fineMods);
 
-	console.info("Starting binary search - detected current mod state...");
+		if (session === null) {
+			console.info(`Searching ${scopeMods.length} mods in scope: ${scopeMods.join(", ")}`);
+			console.info(`Holding ${mods.length - scopeMods.length} mods outside the scope in their current state.`);
+		}
 
-	while (true) {
-		// Apply the current configuration
-		await applyModConfiguration(allMods, enabledMods);
+		return scopeMods;
+	}
+	catch (error) {
+		console.error("Error resolving the scope:", error instanceof Error ? error.message : error);
 
-		// Display mod status and get categorized mod lists
-		const { disabledMods, enabledNonFineMods } = displayModStatus(
-			allMods,
-			enabledMods,
-			fineMods
-		);
+		return exit(1);
+	}
+};
 
-		// Get user response
-		const userResponse = await Input.prompt({
-			default: "y",
-			message: "Did the game run fine? (y/n/r - reset)"
-		});
+/**
+ * Stop treating the mods a resumed session marked fine as always fine. They are on the saved fine list by now,
+ * but a failure without suspicious mods has to be able to test them again
+ *
+ * @param {Array<string>} startFineMods - Names of the mods considered fine before the session began
+ * @example
+ * releaseMarkedFineMods(session.alwaysFineMods);
+ */
+const releaseMarkedFineMods = (startFineMods) => {
+	packLists.alwaysFineMods = packLists.alwaysFineMods.filter(
+		(modName) => startFineMods.includes(modName) || packLists.otherFineMods.includes(modName)
+	);
+};
 
-		// Process the response
-		const { shouldContinue, updatedSets } = await processUserResponse(
-			userResponse,
-			allMods,
-			enabledMods,
-			fineMods,
-			enabledNonFineMods,
-			disabledMods
-		);
+/**
+ * Create the test settings from the command line options, exiting if any of them is invalid
+ *
+ * @param {OracleCommandOptions} oracleOptions - The oracle command line options
+ * @param {Omit<TestCommandOptions, "oracle">} testOptions - The test command line options
+ * @returns {TestSettings} Who decides, how often a pass is repeated and how likely the problem shows up
+ * @example
+ * const settings = loadTestSettings({
+ *   command: undefined,
+ *   commandArguments: [],
+ *   timeout: "600",
+ *   timeoutOutcome: "skip"
+ * }, {
+ *   confidence: "0.95",
+ *   failureRate: "1",
+ *   repeat: "1"
+ * });
+ */
+const loadTestSettings = (oracleOptions, testOptions) => {
+	try {
+		return createTestSettings({
+			...testOptions,
+			oracle: createOracle(oracleOptions)
+		});
+	}
+	catch (error) {
+		console.error(error instanceof Error ? error.message : error);
 
-		if (!shouldContinue) {
-			continue;
-		}
+		return exit(1);
+	}
+};
 
-		// Update our sets with the results
-		({ enabledMods, fineMods } = updatedSets);
+const {
+	"--": oracleArguments,
+	_: [command, stepLogPath = defaultStepLogPath],
+	confidence,
+	ddmin: useDeltaDebugging,
+	"disabled-list": disabledListNames,
+	"failure-rate": failureRate,
+	"fine-list": fineListNames,
+	oracle: oracleCommand,
+	"oracle-timeout": oracleTimeout,
+	"oracle-timeout-outcome": oracleTimeoutOutcome,
+	"pack-config": packConfigPath,
+	repeat,
+	"save-list": saveListName,
+	"scope-author": scopeAuthors,
+	"scope-depends-on": scopeDependencies,
+	"scope-file": scopeFilePath,
+	"scope-name": scopeNames
+} = parseArgs(args, {
+	"--": true,
+	boolean: ["ddmin"],
+	collect: [
+		"disabled-list",
+		"fine-list",
+		"scope-author",
+		"scope-depends-on",
+		"scope-name"
+	],
+	default: {
+		confidence: "0.95",
+		"failure-rate": "1",
+		"oracle-timeout": "600",
+		"oracle-timeout-outcome": "skip",
+		"pack-config": defaultPackConfigPath,
+		repeat: "1",
+		"save-list": "fine"
+	},
+	string: [
+		"confidence",
+		"disabled-list",
+		"failure-rate",
+		"fine-list",
+		"oracle",
+		"oracle-timeout",
+		"oracle-timeout-outcome",
+		"pack-config",
+		"repeat",
+		"save-list",
+		"scope-author",
+		"scope-depends-on",
+		"scope-file",
+		"scope-name"
+	]
+});
+
+const settings = loadTestSettings({
+	command: oracleCommand,
+	commandArguments: oracleArguments,
+	timeout: oracleTimeout,
+	timeoutOutcome: oracleTimeoutOutcome
+}, {
+	confidence,
+	failureRate,
+	repeat
+});
+
+const session = await readSession(defaultSessionPath);
+
+if (command === "abort") {
+	await abortSession([...mods], session);
+}
+else if (command === "replay") {
+	await replayStepLog([...mods], String(stepLogPath), settings).catch((error) => {
+		console.error(error instanceof Error ? error.message : error);
+		exit(1);
+	});
+}
+else {
+	loaderVersion = await readLoaderVersion();
+
+	if (loaderVersion === null) {
+		console.warn(`Warning: The installed Steamodded version couldn't be read from ${defaultLoaderDirectory}/version.lua, so the Steamodded versions mods require aren't checked.`);
+	}
 
-		// Enforce mod rules
-		enabledMods = enforceModRules(enabledMods);
+	await loadPackLists(packConfigPath, {
+		disabledListNames,
+		fineListNames,
+		saveListName
+	});
+
+	const scopeMods = await loadScope(session, {
+		authors: scopeAuthors,
+		dependsOn: scopeDependencies,
+		filePath: scopeFilePath,
+		names: scopeNames
+	});
+
+	if (session?.alwaysFineMods !== undefined) {
+		releaseMarkedFineMods(session.alwaysFineMods);
 	}
-};
 
-await binarySearchMods();
+	await (
+		session?.mode === "ddmin" || (session === null && useDeltaDebugging)
+			? deltaDebugMods(session, settings, scopeMods)
+			: binarySearchMods(session, settings, scopeMods)
+	);
+}
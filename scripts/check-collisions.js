@@ -0,0 +1,48 @@
+import { relative } from "@std/path";
+
+import { findCollisions, mods } from "./_common/_exports.js";
+
+const { cwd, exit } = Deno;
+
+/**
+ * Formats a mod with the file it was parsed from, for display.
+ *
+ * @param {import("./_common/load-mods.js").Mod} mod - The mod to format
+ * @returns {string} The mod name and its manifest path relative to the working directory
+ * @example
+ * // Returns "Talisman (Mods/Talisman/manifest.json)"
+ * formatMod(talisman);
+ */
+const formatMod = ({ name, path }) => `${name} (${relative(cwd(), path)})`;
+
+const {
+	duplicateIds, duplicatePrefixes, providedIdCollisions
+} = findCollisions(mods);
+
+for (const { id, mods: modsWithId } of duplicateIds) {
+	console.info(`Duplicate ID "${id}": ${modsWithId.map(formatMod).join(", ")}`);
+}
+
+for (const { mods: modsWithPrefix, prefix } of duplicatePrefixes) {
+	console.info(
+		`Duplicate prefix "${prefix}": ${
+			modsWithPrefix
+				.map((mod) => `${formatMod(mod)}${mod.prefixDerived ? " [derived from ID]" : ""}`)
+				.join(", ")
+		}`
+	);
+}
+
+for (
+	const {
+		id, mod, providers
+	} of providedIdCollisions
+) {
+	console.info(`ID "${id}" of ${formatMod(mod)} is also provided by ${providers.map(formatMod).join(", ")}`);
+}
+
+if (duplicateIds.length > 0 || duplicatePrefixes.length > 0 || providedIdCollisions.length > 0) {
+	exit(1);
+}
+
+console.info("No ID or prefix collisions found.");
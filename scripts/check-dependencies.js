@@ -0,0 +1,45 @@
+import {
+	formatDependency, mods, resolveMods
+} from "./_common/_exports.js";
+
+const { exit } = Deno;
+
+const {
+	activeConflicts, missingDependencies, standIns
+} = resolveMods(mods);
+
+for (
+	const {
+		candidates, dependency, mismatchedMods, mod
+	} of missingDependencies
+) {
+	const candidateNames = candidates.map(({ name }) => name);
+	const mismatchedVersions = mismatchedMods.map(({ name, version = "0.0.0" }) => `${name} ${version}`);
+
+	console.info(
+		`Missing dependency: ${mod.name} needs ${formatDependency(dependency)}${
+			mismatchedVersions.length > 0 ? ` (enabled with wrong version: ${mismatchedVersions.join(", ")})` : ""
+		}${
+			candidateNames.length > 0 ? ` (installed but disabled: ${candidateNames.join(", ")})` : ""
+		}`
+	);
+}
+
+for (
+	const {
+		conflict, conflictingMod, mod
+	} of activeConflicts
+) {
+	console.info(`Active conflict: ${mod.name} conflicts with ${formatDependency(conflict)} (${conflictingMod.name} ${conflictingMod.version ?? "0.0.0"})`);
+}
+
+for (const { id, mod } of standIns) {
+	console.info(`Stand-in: ${mod.name} provides ${id}`);
+}
+
+if (missingDependencies.length === 0 && activeConflicts.length === 0) {
+	console.info("All dependencies of enabled mods are satisfied and no conflicts are active.");
+}
+else {
+	exit(1);
+}
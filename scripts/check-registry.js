@@ -0,0 +1,48 @@
+import { relative } from "@std/path";
+
+import {
+	createRegistry, mods, submodules
+} from "./_common/_exports.js";
+
+const { cwd, exit } = Deno;
+
+const {
+	orphans: {
+		modsOutsideSubmodules, submodulesWithoutMods, untrackedDirectories
+	},
+	submodules: registeredSubmodules
+} = await createRegistry({
+	mods,
+	submodules
+});
+
+console.info("SUBMODULES:");
+
+for (const { mods: submoduleMods, submodule: { branch, path } } of registeredSubmodules) {
+	const branchSuffix = branch ? ` (${branch})` : "";
+	const modNames = submoduleMods.map(({ name }) => name).join(", ") || "no mods";
+
+	console.info(`- ${path}${branchSuffix}: ${modNames}`);
+}
+
+for (const directory of untrackedDirectories) {
+	console.info(`Directory ${directory} isn't a submodule`);
+}
+
+for (const { submodule: { path } } of submodulesWithoutMods) {
+	console.info(`Submodule ${path} has no parsable manifest`);
+}
+
+for (const { name, path } of modsOutsideSubmodules) {
+	console.info(`Mod ${name} (${relative(cwd(), path)}) isn't inside any submodule`);
+}
+
+if (
+	untrackedDirectories.length > 0 ||
+	submodulesWithoutMods.length > 0 ||
+	modsOutsideSubmodules.length > 0
+) {
+	exit(1);
+}
+
+console.info("Every submodule contains a mod and every mod is inside a submodule.");
@@ -1,3 +1,32 @@
-import { mods } from "./_common/_exports.js";
+import { parseArgs } from "@std/cli";
+import { relative } from "@std/path";
 
-console.info(mods.map(({ name }) => name).join("\n"));
+import { diagnostics, mods } from "./_common/_exports.js";
+
+const { args, cwd } = Deno;
+
+const { diagnostics: showDiagnostics } = parseArgs(args, { boolean: ["diagnostics"] });
+
+if (showDiagnostics) {
+	const manifestDiagnostics = diagnostics.filter(({ looksLikeManifest }) => looksLikeManifest);
+	const skippedFileCount = diagnostics.length - manifestDiagnostics.length;
+	const rejectedCount = manifestDiagnostics.filter(({ severity }) => severity === "error").length;
+	const warningCount = manifestDiagnostics.length - rejectedCount;
+
+	for (
+		const {
+			issues, path, severity
+		} of manifestDiagnostics
+	) {
+		console.info(`${relative(cwd(), path)} (${severity === "error" ? "rejected" : "warning"})`);
+
+		for (const { key, message } of issues) {
+			console.info(key === "" ? `  - ${message}` : `  - ${key}: ${message}`);
+		}
+	}
+
+	console.info(`${rejectedCount} manifest(s) rejected, ${warningCount} warning(s), ${skippedFileCount} other file(s) skipped because they don't look like manifests.`);
+}
+else {
+	console.info(mods.map(({ name }) => name).join("\n"));
+}
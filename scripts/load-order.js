@@ -0,0 +1,27 @@
+import { computeLoadOrder, mods } from "./_common/_exports.js";
+
+const { exit } = Deno;
+
+const {
+	cycles, order, priorityInversions
+} = computeLoadOrder(mods.filter(({ enabled }) => enabled));
+
+console.info("LOAD ORDER:");
+
+for (const [index, { name, priority = 0 }] of order.entries()) {
+	console.info(`${String(index + 1).padStart(String(order.length).length)}. ${name} (priority ${priority})`);
+}
+
+for (const cycle of cycles) {
+	console.info(`Dependency cycle: ${[...cycle, cycle[0]].map(({ name }) => name).join(" -> ")}`);
+}
+
+for (const { dependency, mod } of priorityInversions) {
+	console.info(
+		`Priority inversion: ${mod.name} (priority ${mod.priority ?? 0}) depends on ${dependency.name} (priority ${dependency.priority ?? 0})`
+	);
+}
+
+if (cycles.length > 0 || priorityInversions.length > 0) {
+	exit(1);
+}
@@ -0,0 +1,36 @@
+import { parseArgs } from "@std/cli";
+
+import {
+	defaultLoaderDirectory, mods, preflight, readLoaderVersion
+} from "./_common/_exports.js";
+
+const { args, exit } = Deno;
+
+const { "loader-version": loaderVersionOption } = parseArgs(args, { string: ["loader-version"] });
+
+const loaderVersion = loaderVersionOption ?? await readLoaderVersion();
+
+if (loaderVersion === null) {
+	console.warn(`The installed Steamodded version couldn't be read from ${defaultLoaderDirectory}/version.lua, so Steamodded version bounds aren't checked. Pass --loader-version to check them.`);
+}
+else {
+	console.info(`Checking against Steamodded ${loaderVersion}.`);
+}
+
+const { loadedMods, refusedMods } = preflight(mods, { loaderVersion });
+
+for (
+	const {
+		message, mod, reason
+	} of refusedMods
+) {
+	console.info(`${mod.name} won't load (${reason}): ${message}`);
+}
+
+if (refusedMods.length > 0) {
+	console.info(`${refusedMods.length} of ${loadedMods.length + refusedMods.length} enabled mods won't load.`);
+
+	exit(1);
+}
+
+console.info(`All ${loadedMods.length} enabled mods should load.`);